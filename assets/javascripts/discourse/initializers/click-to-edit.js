@@ -1,8 +1,39 @@
 import { withPluginApi } from "discourse/lib/plugin-api";
 import { cancel, debounce, schedule } from "@ember/runloop";
+import { i18n } from "discourse-i18n";
 
 const SCROLL_DEBOUNCE_MS = 50;
 const HIGHLIGHT_DEBOUNCE_MS = 100;
+// After a caret-driven sync or a jump from the preview, scroll events on either side
+// are the result of that move and must not pull the other side somewhere else
+const SCROLL_SYNC_SUPPRESS_MS = 400;
+
+// Values of the click_to_edit_highlight_style site setting, each a class on the
+// preview wrapper (see discourse-click-to-edit.scss)
+const HIGHLIGHT_STYLES = ["outline_and_background", "outline", "background"];
+
+// Marks highlighted preview elements; the value is a space-separated list of
+// highlight names, so several highlights can overlap
+const HIGHLIGHT_ATTRIBUTE = "data-click-to-edit-highlight";
+
+// Announced element types, by the first selector that matches
+const ELEMENT_TYPES = [
+  ["h1, h2, h3, h4, h5, h6", "heading"],
+  ["sup.footnote-ref, li.footnote-item", "footnote"],
+  ["li", "list_item"],
+  ["ul, ol", "list"],
+  ["td, th", "table_cell"],
+  ["table, tr", "table"],
+  ["pre, code", "code"],
+  ["blockquote, aside.quote", "quote"],
+  ["details, summary", "details"],
+  ["img", "image"],
+  ["video, .video-container, .lazy-video-container", "video"],
+  ["p", "paragraph"]
+];
+
+// Preview elements that open the quick-edit popover on double-click
+const QUICK_EDIT_SELECTOR = "p, h1, h2, h3, h4, h5, h6, li, tr";
 
 // =============================================
 // SUPPORTED SYNTAX PATTERNS
@@ -40,7 +71,7 @@ const BBCODE_TAGS = [
 // Regex patterns for different syntax types
 const PATTERNS = {
   // BBCode: [tag], [tag=value], [/tag]
-  bbcode: /\[\/?[\w-]+(?:=[^\]]*)?]/gi,
+  bbcode: /\[\/?(?:[\w-]+|\*)(?:=[^\]]*)?]/gi,
 
   // Markdown formatting
   mdBold: /\*\*([^*]+)\*\*/g,
@@ -61,15 +92,22 @@ const PATTERNS = {
   mdQuote: /^>\s*/gm,
 
   // Markdown lists
-  mdUnorderedList: /^[\*\-\+]\s+/gm,
-  mdOrderedList: /^\d+\.\s+/gm,
+  mdUnorderedList: /^\s*[\*\-\+]\s+/gm,
+  mdOrderedList: /^\s*\d+[.)]\s+/gm,
+
+  // BBCode list tags and item markers: [list], [list=1], [ul], [ol], [/list], [*], [li]
+  bbcodeListTag: /\[(\/?)(?:list|ul|ol)(?=[\]=\s])[^\]]*\]|\[(?:\*|li)\]/gi,
 
   // Markdown tables
   mdTableRow: /^\|.*\|$/gm,
   mdTableSeparator: /^\|[\s\-:|]+\|$/gm,
+  // Alignment row of a table, outer pipes optional (|:--|--:| or :-- | --:)
+  mdTableAlignment: /^[\s>]*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
 
-  // Markdown footnotes
+  // Markdown footnotes: inline ^[note], [^label] references and [^label]: definitions
   mdFootnote: /\^\[([^\]]+)\]/g,
+  mdFootnoteReference: /\[\^([^\]\s]+)\]|\^\[[^\]]+\]/g,
+  mdFootnoteDefinition: /^ {0,3}\[\^([^\]\s]+)\]:/,
 
   // Discourse special syntax
   discourseEmoji: /:[\w_+-]+:/g,
@@ -88,29 +126,543 @@ const PATTERNS = {
   // Poll syntax
   discoursePoll: /\[poll[^\]]*\][\s\S]*?\[\/poll\]/gi,
 
-  // Details syntax - capture the title
-  detailsOpen: /\[details="([^"]+)"\]/i,
-  detailsClose: /\[\/details\]/i
+  // Details syntax - any open or close tag, capturing the title:
+  // [details], [details=Title], [details="Title" open], [/details]
+  detailsTag: /\[(\/)?details(?=[\]=\s])(?:=(?:"([^"]*)"|([^\]\s]*)))?[^\]]*\]/gi
 };
 
-class ClickToEditHandler {
+// Source line of every match of a global regex, once per match
+function occurrencesOf(regex) {
+  return (lines) => {
+    const occurrences = [];
+    lines.forEach((line, i) => {
+      occurrences.push(...Array.from(line.matchAll(regex), () => i));
+    });
+    return occurrences;
+  };
+}
+
+// Copy of the source lines with fenced code blanked out, so syntax shown inside a
+// code block (a "> " line, a "## " comment) isn't counted as the real thing
+function withoutFencedCode(lines) {
+  let fence = null;
+  return lines.map((line) => {
+    const marker = line.match(/^\s*(```+|~~~+)/);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      return "";
+    }
+    if (marker) {
+      fence = marker[1];
+      return "";
+    }
+    return line;
+  });
+}
+
+// Registered matchers that threw, already reported
+const failedMatchers = new WeakSet();
+
+// Numeric value of an attribute the element has itself, or null
+function ownNumberAttribute(element, attribute) {
+  return element.hasAttribute(attribute) ? parseInt(element.getAttribute(attribute), 10) : null;
+}
+
+// Column ranges { start, end } of the cells of a Markdown table row (or alignment
+// row), between the pipes that aren't escaped. Outer pipes are optional, and a
+// blockquote marker or indentation before the row is not part of the first cell.
+function tableCellSegments(lineText) {
+  const rowStart = lineText.match(/^[\s>]*/)[0].length;
+  const segments = [];
+  let start = lineText[rowStart] === "|" ? rowStart + 1 : rowStart;
+
+  for (let i = start; i < lineText.length; i++) {
+    if (lineText[i] === "\\") {
+      i++;
+    } else if (lineText[i] === "|") {
+      segments.push({ start, end: i });
+      start = i + 1;
+    }
+  }
+  if (lineText.slice(start).trim()) {
+    segments.push({ start, end: lineText.length });
+  }
+
+  return segments;
+}
+
+// Footnotes of the source lines (fenced code blanked out). `references` are the
+// [^label] references and inline ^[note] notes outside definitions, in source
+// order, as { line, start, end, entry } with the columns of the reference and the
+// index of its note in `entries`. `entries` are the notes in the order the
+// footnotes list numbers them (by first reference, references inside definitions
+// included), with the lines { start, end } of their definition; inline notes are
+// their own definition. References to labels without a definition render as text.
+function parseFootnotes(lines) {
+  // A definition runs on over indented lines, and over the lines of its first
+  // paragraph until a blank line or the start of another block
+  const definitions = new Map();
+  const spans = [];
+  let current = null;
+  let blank = false;
+  lines.forEach((line, i) => {
+    const match = line.match(PATTERNS.mdFootnoteDefinition);
+    if (match) {
+      current = { start: i, end: i };
+      spans[i] = current;
+      blank = false;
+      if (!definitions.has(match[1])) {
+        definitions.set(match[1], current);
+      }
+    } else if (current && !line.trim()) {
+      blank = true;
+    } else if (current && (/^( {4}|\t)/.test(line) || (!blank && !/^ {0,3}(#|>|[-*+]\s|\d+[.)]\s)/.test(line)))) {
+      current.end = i;
+      spans[i] = current;
+      blank = false;
+    } else {
+      current = null;
+    }
+  });
+
+  const references = [];
+  const entries = [];
+  const entryIndexes = new Map();
+  lines.forEach((line, i) => {
+    // Inline code shows references as text
+    const text = line.replace(/`[^`]*`/g, (code) => " ".repeat(code.length));
+    const definitionLabelAt = spans[i]?.start === i ? text.indexOf("[^") : -1;
+
+    for (const match of text.matchAll(PATTERNS.mdFootnoteReference)) {
+      const label = match[1];
+      let entry;
+      if (label === undefined) {
+        entry = entries.push({ start: i, end: i, inline: true }) - 1;
+      } else if (match.index === definitionLabelAt || !definitions.has(label)) {
+        continue;
+      } else {
+        if (!entryIndexes.has(label)) {
+          const { start, end } = definitions.get(label);
+          entryIndexes.set(label, entries.push({ start, end, inline: false }) - 1);
+        }
+        entry = entryIndexes.get(label);
+      }
+
+      // References inside definitions are rendered in the footnotes list
+      if (!spans[i]) {
+        references.push({ line: i, start: match.index, end: match.index + match[0].length, entry });
+      }
+    }
+  });
+
+  return { references, entries };
+}
+
+// Special elements are mapped by ordinal position: the Nth occurrence found in the
+// source by `findOccurrences` is the Nth outermost element matching `selector` in
+// the preview. `test` tells whether a source line holds this syntax. Fenced code
+// is blanked out before `findOccurrences` runs, except for code blocks themselves.
+const SPECIAL_ELEMENTS = [
+  {
+    name: "image",
+    test: /!\[(?![^\]]*\|video\])[^\]]*\]\(|\[img\]/i,
+    selector: "img:not(.emoji):not(.avatar)",
+    findOccurrences: occurrencesOf(/!\[(?![^\]]*\|video\])[^\]]*\]\(|\[img\]/gi),
+    toElement: (img) => img.parentElement || img
+  },
+  {
+    name: "video",
+    test: /<video\b|\[video\]|\.(?:mp4|webm|ogg|mov)\b|youtube\.com|youtu\.be|vimeo\.com/i,
+    selector: "video, .video-container, .video-placeholder-container, .lazy-video-container, .onebox-video, iframe[src*='youtube'], iframe[src*='vimeo']",
+    // A multi-line <video> element counts once, not once per <source> line
+    findOccurrences(lines) {
+      const occurrences = [];
+      let inVideoTag = false;
+      lines.forEach((line, i) => {
+        if (inVideoTag) {
+          inVideoTag = !/<\/video>/i.test(line);
+          return;
+        }
+        if (/<video\b/i.test(line)) {
+          occurrences.push(i);
+          inVideoTag = !/<\/video>/i.test(line);
+          return;
+        }
+        const references = line.match(/\[video\][\s\S]*?\[\/video\]|(?:https?|upload):\/\/[^\s)\]]+?\.(?:mp4|webm|ogg|mov)\b|https?:\/\/(?:www\.)?(?:youtube\.com|youtu\.be|vimeo\.com)\/\S*/gi);
+        (references || []).forEach(() => occurrences.push(i));
+      });
+      return occurrences;
+    }
+  },
+  {
+    name: "poll",
+    test: /\[poll/i,
+    selector: ".poll, [data-poll-name]",
+    findOccurrences: occurrencesOf(/\[poll(?=[\]\s])/gi)
+  },
+  {
+    name: "date",
+    test: /\[date=/i,
+    selector: ".discourse-local-date, [data-date]",
+    findOccurrences: occurrencesOf(/\[date=[^\]]+\]/gi)
+  },
+  {
+    name: "spoiler",
+    test: /\[spoiler\]/i,
+    selector: ".spoiler, .spoiled, .spoiler-blurred",
+    findOccurrences: occurrencesOf(/\[spoiler\]/gi)
+  },
+  {
+    name: "codeBlock",
+    includesFencedCode: true,
+    test: /^\s*(?:```|~~~)|\[\/?code\]/i,
+    selector: "pre",
+    // Opening fences and [code] tags; closing fences and fenced content don't count
+    findOccurrences(lines) {
+      const occurrences = [];
+      let fence = null;
+      lines.forEach((line, i) => {
+        const marker = line.match(/^\s*(```+|~~~+)/);
+        if (fence) {
+          if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+            fence = null;
+          }
+          return;
+        }
+        if (marker) {
+          occurrences.push(i);
+          fence = marker[1];
+          return;
+        }
+        (line.match(/\[code\]/gi) || []).forEach(() => occurrences.push(i));
+      });
+      return occurrences;
+    }
+  },
+  {
+    name: "quote",
+    test: /^>|\[quote/i,
+    selector: "aside.quote, blockquote",
+    // A run of "> " lines is one blockquote. Like the preview side, only
+    // outermost quotes count: none inside a [quote] or a "> " run.
+    findOccurrences(lines) {
+      const occurrences = [];
+      let depth = 0;
+      lines.forEach((line, i) => {
+        const inBlockquote = /^>/.test(line);
+        if (inBlockquote && depth === 0 && !/^>/.test(lines[i - 1] || "")) {
+          occurrences.push(i);
+        }
+        for (const match of line.matchAll(/\[(\/)?quote(?=[\]=\s])/gi)) {
+          if (match[1]) {
+            depth = Math.max(0, depth - 1);
+          } else {
+            if (depth === 0 && !inBlockquote) {
+              occurrences.push(i);
+            }
+            depth++;
+          }
+        }
+      });
+      return occurrences;
+    }
+  }
+];
+
+// The lines of the editor text and the offset each one starts at, kept up to date
+// as the text changes: an edit re-splits only the lines it touched and shifts the
+// offsets after them, so a lookup never has to split or scan the whole post. The
+// arrays are replaced rather than modified, so `lines` can be handed out as is.
+class LineIndex {
   constructor() {
+    this.text = "";
+    this.lines = [""];
+    this.offsets = [0];
+    this._normalized = [];
+    this._unfencedLines = null;
+    this._footnotes = null;
+  }
+
+  get lineCount() {
+    return this.lines.length;
+  }
+
+  // The lines with fenced code blanked out (see withoutFencedCode)
+  get unfencedLines() {
+    if (!this._unfencedLines) {
+      this._unfencedLines = withoutFencedCode(this.lines);
+    }
+    return this._unfencedLines;
+  }
+
+  // The footnotes of the text (see parseFootnotes)
+  get footnotes() {
+    if (!this._footnotes) {
+      this._footnotes = parseFootnotes(this.unfencedLines);
+    }
+    return this._footnotes;
+  }
+
+  // Bring the index up to date with `text`. Returns the lines that changed,
+  // { start, removed, added }, or null when the text is the same.
+  update(text) {
+    const previous = this.text;
+    if (text === previous) {
+      return null;
+    }
+
+    // The edit lies between the common prefix and the common suffix
+    const shorter = Math.min(previous.length, text.length);
+    let prefix = 0;
+    while (prefix < shorter && previous.charCodeAt(prefix) === text.charCodeAt(prefix)) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (suffix < shorter - prefix &&
+           previous.charCodeAt(previous.length - 1 - suffix) === text.charCodeAt(text.length - 1 - suffix)) {
+      suffix++;
+    }
+
+    const start = this.lineAt(prefix);
+    const end = this.lineAt(previous.length - suffix);
+    const delta = text.length - previous.length;
+    const from = this.offsets[start];
+    const to = (end + 1 < this.lines.length ? this.offsets[end + 1] - 1 : previous.length) + delta;
+
+    const lines = text.substring(from, to).split("\n");
+    const offsets = [];
+    let offset = from;
+    for (const line of lines) {
+      offsets.push(offset);
+      offset += line.length + 1;
+    }
+
+    this.lines = this.lines.slice(0, start).concat(lines, this.lines.slice(end + 1));
+    this.offsets = this.offsets.slice(0, start).concat(
+      offsets,
+      this.offsets.slice(end + 1).map((later) => later + delta)
+    );
+    this._normalized = this._normalized.slice(0, start).concat(
+      new Array(lines.length),
+      this._normalized.slice(end + 1)
+    );
+    this._unfencedLines = null;
+    this._footnotes = null;
+    this.text = text;
+
+    return { start, removed: end - start + 1, added: lines.length };
+  }
+
+  // Line holding the character at `offset`
+  lineAt(offset) {
+    let low = 0;
+    let high = this.offsets.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  // Offset of the start of a line, clamped to the text
+  offsetOf(line) {
+    return this.offsets[Math.min(Math.max(line, 0), this.offsets.length - 1)];
+  }
+
+  // Offset of the end of a line, before its newline
+  endOffsetOf(line) {
+    const clamped = Math.min(Math.max(line, 0), this.lines.length - 1);
+    return this.offsets[clamped] + this.lines[clamped].length;
+  }
+
+  // Last line of the block on lines `start`..`end` that isn't blank: block ranges
+  // may include trailing blank lines (e.g. loose list items)
+  lastContentLine(start, end) {
+    let last = Math.min(Math.max(start, end), this.lines.length - 1);
+    while (last > start && !this.lines[last].trim()) {
+      last--;
+    }
+    return last;
+  }
+
+  // `normalize(lines[line])`, computed once per version of the line
+  normalized(line, normalize) {
+    if (this._normalized[line] === undefined) {
+      this._normalized[line] = normalize(this.lines[line]);
+    }
+    return this._normalized[line];
+  }
+
+  clearNormalized() {
+    this._normalized = [];
+  }
+}
+
+// Where the source lines ended up in the preview, read from the data-ln /
+// data-ln-end attributes in one pass. Built on the first lookup after a render
+// of the preview, when the decorators (e.g. the one numbering code block lines)
+// have run, and thrown away on the next render; lookups in between don't query
+// the preview again.
+class SourceMap {
+  constructor(root) {
+    this.root = root;
+    // Elements with a line range, in document order
+    this.blocks = [];
+    // Distinct data-ln values in order, and the last element with each
+    this._lines = [];
+    this._lastElements = [];
+    // Tightest block around each line
+    this._containing = [];
+    this._selectors = new Map();
+    this._texts = new Map();
+    this._results = { elements: new Map(), sources: new Map() };
+
+    if (root) {
+      this._build();
+    }
+  }
+
+  _build() {
+    const lastElements = new Map();
+    for (const element of this.root.querySelectorAll("[data-ln]")) {
+      const start = parseInt(element.getAttribute("data-ln"), 10);
+      if (isNaN(start)) continue;
+      lastElements.set(start, element);
+
+      const end = parseInt(element.getAttribute("data-ln-end"), 10);
+      if (!isNaN(end)) {
+        this.blocks.push({ element, start, end });
+      }
+    }
+
+    this._lines = Array.from(lastElements.keys()).sort((a, b) => a - b);
+    this._lastElements = this._lines.map((line) => lastElements.get(line));
+
+    // Paint the widest ranges first, so the tightest block of each line wins; on
+    // ties the later (nested) element does
+    const order = this.blocks.map((_, i) => i).sort((a, b) =>
+      (this.blocks[b].end - this.blocks[b].start) - (this.blocks[a].end - this.blocks[a].start) || a - b
+    );
+    for (const i of order) {
+      const { element, start, end } = this.blocks[i];
+      for (let line = Math.max(start, 0); line <= end; line++) {
+        this._containing[line] = element;
+      }
+    }
+  }
+
+  // The last element starting on `line`, or else on the closest line before it
+  elementAtOrBefore(line) {
+    let low = 0;
+    let high = this._lines.length - 1;
+    if (high < 0 || this._lines[0] > line) {
+      return null;
+    }
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this._lines[middle] <= line) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return this._lastElements[low];
+  }
+
+  elementContaining(line) {
+    return this._containing[line] || null;
+  }
+
+  elements(selector) {
+    if (!this._selectors.has(selector)) {
+      this._selectors.set(selector, this.root ? Array.from(this.root.querySelectorAll(selector)) : []);
+    }
+    return this._selectors.get(selector);
+  }
+
+  // `normalize(element.textContent)`, computed once per render
+  normalizedText(element, normalize) {
+    if (!this._texts.has(element)) {
+      this._texts.set(element, normalize(element.textContent));
+    }
+    return this._texts.get(element);
+  }
+
+  // Result of `compute` for `key` in one of the lookup tables ("elements": line →
+  // element, "sources": element → source lines), reused while the source text is
+  // the same
+  lookup(table, key, text, compute) {
+    const cached = this._results[table].get(key);
+    if (cached && cached.text === text) {
+      return cached.value;
+    }
+
+    const value = compute();
+    this._results[table].set(key, { text, value });
+    return value;
+  }
+}
+
+class ClickToEditHandler {
+  constructor({ matcherRegistry = null, siteSettings = null } = {}) {
+    this.matcherRegistry = matcherRegistry;
+    this.siteSettings = siteSettings;
+    this.settings = null;
     this.clickHandler = null;
+    this.previewMouseUpHandler = null;
+    this.previewClickHandler = null;
+    this.previewKeyDownHandler = null;
+    this.doubleClickHandler = null;
+    this.mouseUpHandler = null;
     this.scrollHandler = null;
+    this.previewScrollHandler = null;
     this.inputHandler = null;
     this.keyDownHandler = null;
+    this.keyUpHandler = null;
     this.editorClickHandler = null;
     this.preview = null;
     this.previewWrapper = null;
     this.scrollParent = null;
     this.textArea = null;
-    this.activeElementCSSStyleRule = null;
     this.clonedTextArea = null;
+    this.lineMirror = null;
+    this.quickEditPopover = null;
+    this.liveRegion = null;
+    this.gutter = null;
+    this.gutterUpdateHandler = null;
+    this.gutterMouseDownHandler = null;
     this.isInitialized = false;
+    this._lineIndex = new LineIndex();
+    this._lineIndexMatchers = null;
+    this._sourceMap = null;
+    this._lineTops = null;
+    this._lineTopsWidth = null;
+    this._lineHeights = null;
+    this._scrollSyncFrame = null;
+    this._scrollSyncSuppressedUntil = 0;
+    this._previewScrollSyncFrame = null;
+    this._previewScrollSyncSuppressedUntil = 0;
     this._scrollDebounceTimer = null;
     this._highlightDebounceTimer = null;
     this._destroyed = false;
-    this._lastHighlightedElement = null;
+    this._highlights = new Map();
+    this._previewMouseDownEvent = null;
+    this._previewClickHandled = false;
+    this._quickEdit = null;
+    this._previewObserver = null;
+    this._rovingTabIndexTimer = null;
+    this._rovingLine = 0;
+    this._rovingTabIndex = false;
+    this._gutterFrame = null;
+    this._gutterResizeObserver = null;
+    this._gutterDigits = 0;
+    this._highlightedLines = null;
   }
 
   initialize(textArea, previewWrapper) {
@@ -118,8 +670,8 @@ class ClickToEditHandler {
       return;
     }
 
-    // Skip if rich editor (ProseMirror) is active
-    const prosemirrorEditor = document.querySelector(".d-editor-textarea-wrapper .ProseMirror");
+    // Skip if this editor has the rich editor (ProseMirror) active
+    const prosemirrorEditor = textArea.closest(".d-editor")?.querySelector(".d-editor-textarea-wrapper .ProseMirror");
     if (prosemirrorEditor) {
       return;
     }
@@ -129,968 +681,2797 @@ class ClickToEditHandler {
     this.scrollParent = previewWrapper.closest(".wmd-controls") ||
                         previewWrapper.closest(".d-editor-container") ||
                         previewWrapper.parentElement;
-    this.preview = previewWrapper.querySelector(".d-editor-preview") ||
-                   document.querySelector(".d-editor-preview");
+    this.preview = previewWrapper.querySelector(".d-editor-preview");
 
     if (!this.previewWrapper || !this.textArea) {
       return;
     }
 
     this.isInitialized = true;
-
-    // Create style element for highlighting
-    this.activeElementCSSStyleRule = document.createElement("style");
-    this.activeElementCSSStyleRule.type = "text/css";
-    this.activeElementCSSStyleRule.id = "preview-highlight-" + Date.now();
-    document.head.appendChild(this.activeElementCSSStyleRule);
+    this.settings = this._readSettings(this.siteSettings);
 
     // Bind handlers with proper context
-    this.clickHandler = this._handlePreviewClick.bind(this);
+    this.clickHandler = this._handlePreviewMouseDown.bind(this);
+    this.previewMouseUpHandler = this._handlePreviewMouseUp.bind(this);
+    this.previewClickHandler = this._handlePreviewClickEvent.bind(this);
+    this.previewKeyDownHandler = this._handlePreviewKeyDown.bind(this);
+    this.doubleClickHandler = this._handlePreviewDoubleClick.bind(this);
+    this.mouseUpHandler = this._handleEditorMouseUp.bind(this);
     this.scrollHandler = this._handleEditorScroll.bind(this);
+    this.previewScrollHandler = this._handlePreviewScroll.bind(this);
     this.inputHandler = this._handleEditorInput.bind(this);
     this.keyDownHandler = this._handleEditorKeyDown.bind(this);
+    this.keyUpHandler = this._handleEditorKeyUp.bind(this);
     this.editorClickHandler = this._handleEditorClick.bind(this);
 
     // Add event listeners
     // Preview → Editor
-    this.previewWrapper.addEventListener("mousedown", this.clickHandler);
+    if (this.settings.syncDirection !== "editor_to_preview") {
+      this.previewWrapper.addEventListener("mousedown", this.clickHandler);
+      this.previewWrapper.addEventListener("click", this.previewClickHandler);
+      this.previewWrapper.addEventListener("keydown", this.previewKeyDownHandler);
+      this._rovingTabIndex = true;
+      if (this.settings.previewScrollSync) {
+        this.previewWrapper.addEventListener("scroll", this.previewScrollHandler, { passive: true });
+      }
+      if (this.settings.quickEdit) {
+        this.previewWrapper.addEventListener("dblclick", this.doubleClickHandler);
+      }
+    }
 
     // Editor → Preview
-    this.textArea.addEventListener("mouseup", this.scrollHandler);
-    this.textArea.addEventListener("click", this.editorClickHandler);
-    this.textArea.addEventListener("input", this.inputHandler);
-    this.textArea.addEventListener("keydown", this.keyDownHandler);
-    this.textArea.addEventListener("keyup", this._handleEditorKeyUp.bind(this));
+    if (this.settings.syncDirection !== "preview_to_editor") {
+      this.textArea.addEventListener("mouseup", this.mouseUpHandler);
+      this.textArea.addEventListener("scroll", this.scrollHandler, { passive: true });
+      this.textArea.addEventListener("click", this.editorClickHandler);
+      this.textArea.addEventListener("input", this.inputHandler);
+      this.textArea.addEventListener("keydown", this.keyDownHandler);
+      this.textArea.addEventListener("keyup", this.keyUpHandler);
+    }
+
+    if (!this.settings.showEditBadge) {
+      this.previewWrapper.classList.add("click-to-edit-no-badge");
+    }
+    this.previewWrapper.classList.add(`click-to-edit-highlight-${this.settings.highlightStyle}`);
+
+    this._observePreview();
+    this._createLiveRegion();
+
+    if (this.settings.lineNumberGutter) {
+      this._createGutter();
+    }
+  }
+
+  // Screen readers announce what is being edited after a jump or a highlight move
+  _createLiveRegion() {
+    this.liveRegion = document.createElement("div");
+    this.liveRegion.className = "sr-only click-to-edit-live-region";
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("role", "status");
+    // Outside .d-editor-preview, which is replaced on every render
+    this.previewWrapper.appendChild(this.liveRegion);
+  }
+
+  _readSettings(siteSettings) {
+    const integerSetting = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+
+    return {
+      syncDirection: siteSettings?.click_to_edit_sync_direction || "both",
+      scrollDebounceMs: integerSetting(siteSettings?.click_to_edit_scroll_debounce_ms, SCROLL_DEBOUNCE_MS),
+      highlightDebounceMs: integerSetting(siteSettings?.click_to_edit_highlight_debounce_ms, HIGHLIGHT_DEBOUNCE_MS),
+      scrollAlignment: siteSettings?.click_to_edit_scroll_alignment || "center",
+      smoothScroll: siteSettings?.click_to_edit_smooth_scroll ?? true,
+      highlightStyle: HIGHLIGHT_STYLES.includes(siteSettings?.click_to_edit_highlight_style) ?
+                      siteSettings.click_to_edit_highlight_style : "outline_and_background",
+      showEditBadge: siteSettings?.click_to_edit_show_edit_badge ?? true,
+      previewScrollSync: siteSettings?.click_to_edit_preview_scroll_sync ?? false,
+      quickEdit: siteSettings?.click_to_edit_quick_edit ?? true,
+      lineNumberGutter: siteSettings?.click_to_edit_line_number_gutter ?? false
+    };
   }
 
   // =============================================
   // PREVIEW → EDITOR (clicking preview scrolls to editor)
   // =============================================
 
-  _handlePreviewClick(event) {
-    event.preventDefault();
-    event.stopPropagation();
-
-    const target = event.target;
-
-    // Special handling for details/summary elements
-    const detailsMatch = this._handleDetailsClick(target);
-    if (detailsMatch !== null) {
-      this.scrollTextAreaToCorrectPosition(detailsMatch.line);
-      if (detailsMatch.element) {
-        this.updateActiveElementCSSStyleRule(detailsMatch.element);
-      }
+  // A click is only handled on mouseup, so dragging can select text instead
+  _handlePreviewMouseDown(event) {
+    if (event.button !== 0 || this.quickEditPopover?.contains(event.target)) {
       return;
     }
 
-    // Special handling for video elements
-    const videoMatch = this._handleVideoClick(target);
-    if (videoMatch !== null) {
-      this.scrollTextAreaToCorrectPosition(videoMatch);
-      this.updateActiveElementCSSStyleRule(target.closest('video') || target);
+    event.stopPropagation();
+    this._previewMouseDownEvent = event;
+    this._previewClickHandled = false;
+    // The drag may end outside the preview
+    document.addEventListener("mouseup", this.previewMouseUpHandler, { once: true });
+  }
+
+  _handlePreviewMouseUp() {
+    const mouseDownEvent = this._previewMouseDownEvent;
+    this._previewMouseDownEvent = null;
+    if (!mouseDownEvent || this._destroyed || !this.previewWrapper) {
       return;
     }
 
-    // Try line number first (works for Markdown with data-ln)
-    const lineNumber = this.getLineNumber(target);
-    if (lineNumber !== null) {
-      this.scrollTextAreaToCorrectPosition(lineNumber);
-      const previewElement = this.findElementByLineNumber(lineNumber);
-      if (previewElement) {
-        this.updateActiveElementCSSStyleRule(previewElement);
+    // The click that follows must not follow a link (footnote references, or a
+    // download on Alt+click). It is dispatched right after this mouseup, or not
+    // at all when the drag ended on another element.
+    this._previewClickHandled = true;
+    setTimeout(() => (this._previewClickHandled = false), 0);
+
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+      const range = selection.getRangeAt(0);
+      if (this.previewWrapper.contains(range.commonAncestorContainer) && this._handlePreviewSelection(range)) {
+        return;
       }
-      return;
     }
 
-    // Fallback: content-based matching (works for BBCode, HTML, special syntax)
-    const matchedLine = this.findLineByContent(target);
-    if (matchedLine !== null) {
-      this.scrollTextAreaToCorrectPosition(matchedLine);
-      this.updateActiveElementCSSStyleRule(target);
+    this._handlePreviewClick(mouseDownEvent);
+  }
+
+  // Other clicks keep their default action (a summary toggles its details, a
+  // checkbox gets checked)
+  _handlePreviewClickEvent(event) {
+    const handled = this._previewClickHandled;
+    this._previewClickHandled = false;
+    if (handled && event.target.closest?.("a[href]")) {
+      event.preventDefault();
+      event.stopPropagation();
     }
   }
 
-  // =============================================
-  // DETAILS/SUMMARY SPECIAL HANDLING
-  // =============================================
+  // Select the source of a text selection made in the preview. Returns false when
+  // either end can't be mapped.
+  _handlePreviewSelection(range) {
+    const start = this._findSourceOffsetForBoundary(range.startContainer, range.startOffset, false);
+    const end = this._findSourceOffsetForBoundary(range.endContainer, range.endOffset, true);
+    if (start === null || end === null) {
+      return false;
+    }
 
-  _handleDetailsClick(target) {
-    if (!this.textArea) return null;
+    const ta = this.textArea;
+    const selStart = Math.min(start, end);
+    const selEnd = Math.max(start, end);
+    this._scrollTextAreaToOffset(ta, selStart);
+    ta.selectionStart = selStart;
+    ta.selectionEnd = selEnd;
 
-    // Check if clicked on summary element (the clickable title)
-    const summary = target.closest('summary');
-    if (summary) {
-      const details = summary.closest('details');
-      // Find the [details="..."] line that matches this summary
-      return this._findDetailsOpeningLine(summary.textContent?.trim(), details);
+    const lineIndex = this._getLineIndex();
+    this.highlightPreviewElements(
+      this.findElementsCoveringLines(lineIndex.lineAt(selStart), lineIndex.lineAt(selEnd))
+    );
+    return true;
+  }
+
+  // Source offset of one end of a preview selection: the exact character where
+  // the columns are known, otherwise the start or end of the element's lines
+  _findSourceOffsetForBoundary(node, offset, isEnd) {
+    const point = this._getTextPoint(node, offset, isEnd);
+    const element = point.node.nodeType === Node.ELEMENT_NODE ? point.node : point.node.parentElement;
+    const source = element && this.findSourceForPreviewElement(element);
+    if (!source) {
+      return null;
     }
 
-    // Check if clicked inside a details element (but not summary)
-    const details = target.closest('details');
-    if (details && !target.closest('summary')) {
-      // Find the content line or the closing tag
-      const contentLine = this._findDetailsContentLine(target, details);
-      if (contentLine !== null) {
-        return { line: contentLine, element: target };
+    if (source.exact && point.node.nodeType === Node.TEXT_NODE) {
+      const exactOffset = this.findSourceOffsetForCaret(point, source.end);
+      if (exactOffset !== null) {
+        return exactOffset;
       }
     }
 
-    return null;
+    const cellRange = source.element?.matches?.("td, th") ? this.getTableCellSourceRange(source.element) : null;
+    if (cellRange) {
+      return isEnd ? cellRange.end : cellRange.start;
+    }
+
+    const referenceRange = source.element?.matches?.("sup.footnote-ref") ?
+                           this.getFootnoteReferenceRange(source.element) : null;
+    if (referenceRange) {
+      return isEnd ? referenceRange.end : referenceRange.start;
+    }
+
+    const lineIndex = this._getLineIndex();
+    return isEnd ? lineIndex.endOffsetOf(source.end) : lineIndex.offsetOf(source.start);
   }
 
-  _findDetailsOpeningLine(summaryText, detailsElement) {
-    const lines = this.textArea.value.split("\n");
-
-    // Find [details="..."] line
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const match = line.match(PATTERNS.detailsOpen);
-      if (match) {
-        // Found a details opening tag
-        // If we have multiple details, try to match by title
-        if (summaryText) {
-          const titleInTag = match[1];
-          const normalizedTitle = this.normalizeText(titleInTag);
-          const normalizedSummary = this.normalizeText(summaryText);
-          if (normalizedTitle === normalizedSummary ||
-              normalizedTitle.includes(normalizedSummary) ||
-              normalizedSummary.includes(normalizedTitle)) {
-            return { line: i, element: detailsElement };
-          }
-        }
-        // If no summary text or no match yet, return first found
-        if (!summaryText) {
-          return { line: i, element: detailsElement };
-        }
+  // Selection boundaries can sit between elements; move them into the nearest
+  // text node on the inner side of the selection
+  _getTextPoint(node, offset, isEnd) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return { node, offset };
+    }
+
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+    const boundary = node.childNodes[offset] || null;
+    let textNode = null;
+    for (let current = walker.nextNode(); current; current = walker.nextNode()) {
+      // Is the text node before the boundary?
+      const before = !boundary ||
+        (boundary.compareDocumentPosition(current) & Node.DOCUMENT_POSITION_PRECEDING) !== 0;
+      if (isEnd && before) {
+        textNode = current;
+      } else if (!isEnd && !before) {
+        textNode = current;
+        break;
       }
     }
 
-    // Fallback: return first details line found
-    for (let i = 0; i < lines.length; i++) {
-      if (PATTERNS.detailsOpen.test(lines[i])) {
-        return { line: i, element: detailsElement };
+    if (!textNode) {
+      return { node, offset };
+    }
+    return { node: textNode, offset: isEnd ? textNode.data.length : 0 };
+  }
+
+  _handlePreviewClick(event) {
+    const source = this.findSourceForPreviewElement(event.target);
+    if (source === null) {
+      return;
+    }
+
+    // Alt+click on a footnote reference goes to its definition instead
+    if (event.altKey && source.element?.matches?.("sup.footnote-ref")) {
+      const definition = this._selectFootnoteDefinition(this._findFootnoteReference(source.element));
+      if (definition) {
+        if (definition.element) {
+          this.highlightPreviewElements(definition.element);
+        }
+        return;
       }
     }
 
-    return null;
+    // Put the caret on the clicked word, or in the clicked table cell, or select
+    // the clicked footnote reference or the whole block
+    const offset = source.exact ? this.findSourceOffsetForPoint(event, source.end) : null;
+    const cellRange = offset === null && source.element?.matches?.("td, th") ?
+                      this.getTableCellSourceRange(source.element) : null;
+    const referenceRange = offset === null && source.element?.matches?.("sup.footnote-ref") ?
+                           this.getFootnoteReferenceRange(source.element) : null;
+    if (offset !== null) {
+      this.moveTextAreaCaretToOffset(offset);
+    } else if (cellRange) {
+      this.moveTextAreaCaretToOffset(cellRange.start);
+    } else if (referenceRange) {
+      this.moveTextAreaCaretToOffset(referenceRange.start);
+      this.textArea.selectionEnd = referenceRange.end;
+    } else {
+      this.scrollTextAreaToCorrectPosition(source.start, source.end);
+    }
+    if (source.element) {
+      this.highlightPreviewElements(source.element);
+    }
   }
 
-  _findDetailsContentLine(target, detailsElement) {
-    const lines = this.textArea.value.split("\n");
-    const targetText = target.textContent?.trim();
+  // Source lines of a preview element as { start, end, element, exact }, where
+  // `element` is the preview element to highlight and `exact` tells whether the
+  // lines come from data-ln (so columns can be trusted) or from a heuristic
+  findSourceForPreviewElement(target) {
+    return this._getSourceMap().lookup("sources", target, this._getLineIndex().text, () =>
+      this._findSourceForPreviewElement(target)
+    );
+  }
 
-    if (!targetText) return null;
+  _findSourceForPreviewElement(target) {
+    // Registered third-party matchers know their own syntax best
+    const registeredMatch = this._handleRegisteredMatcherClick(target);
+    if (registeredMatch !== null) {
+      return { start: registeredMatch.line, end: registeredMatch.line, element: registeredMatch.element, exact: false };
+    }
 
-    // Find the details block boundaries
-    let detailsStart = -1;
-    let detailsEnd = -1;
+    // Footnote references and the entries of the footnotes list, which have no lines
+    const footnoteMatch = this._handleFootnoteClick(target);
+    if (footnoteMatch !== null) {
+      return { ...footnoteMatch, exact: false };
+    }
 
-    for (let i = 0; i < lines.length; i++) {
-      if (PATTERNS.detailsOpen.test(lines[i])) {
-        detailsStart = i;
-      }
-      if (detailsStart >= 0 && PATTERNS.detailsClose.test(lines[i])) {
-        detailsEnd = i;
-        break;
-      }
+    // Items of BBCode lists, which share the lines of their list
+    const listItemMatch = this._handleBBCodeListItemClick(target);
+    if (listItemMatch !== null) {
+      return { ...listItemMatch, exact: false };
     }
 
-    if (detailsStart < 0) return null;
+    // Table cells map to their own segment of the row
+    const cellMatch = this._handleTableCellClick(target);
+    if (cellMatch !== null) {
+      return { start: cellMatch.line, end: cellMatch.line, element: cellMatch.element, exact: true };
+    }
 
-    // Search within the details block for matching content
-    const normalizedTarget = this.normalizeText(targetText);
-    for (let i = detailsStart + 1; i < (detailsEnd > 0 ? detailsEnd : lines.length); i++) {
-      const strippedLine = this.stripAllSyntax(lines[i]);
-      const normalizedLine = this.normalizeText(strippedLine);
+    // Try line range first (works for Markdown and BBCode blocks with data-ln / data-ln-end)
+    const lineRange = this.getLineRange(target);
+    if (lineRange !== null) {
+      return { start: lineRange.start, end: lineRange.end, element: lineRange.element, exact: true };
+    }
 
-      if (normalizedLine && normalizedTarget) {
-        if (normalizedLine === normalizedTarget ||
-            normalizedLine.includes(normalizedTarget) ||
-            normalizedTarget.includes(normalizedLine)) {
-          return i;
-        }
-      }
+    // Special handling for details/summary elements the markdown engine didn't map
+    const detailsMatch = this._handleDetailsClick(target);
+    if (detailsMatch !== null) {
+      return { start: detailsMatch.line, end: detailsMatch.line, element: detailsMatch.element, exact: false };
     }
 
-    // If clicking near end, return the [/details] line
-    return detailsEnd > 0 ? detailsEnd : null;
-  }
+    // Special handling for videos, polls, dates, spoilers, code blocks, quotes and images
+    const specialMatch = this._handleSpecialElementClick(target);
+    if (specialMatch !== null) {
+      return { start: specialMatch.line, end: specialMatch.line, element: specialMatch.element, exact: false };
+    }
 
-  _findDetailsClosingLine() {
-    const lines = this.textArea.value.split("\n");
-    for (let i = lines.length - 1; i >= 0; i--) {
-      if (PATTERNS.detailsClose.test(lines[i])) {
-        return i;
-      }
+    // Try line number (inline elements without a range)
+    const lineNumber = this.getLineNumber(target);
+    if (lineNumber !== null) {
+      return { start: lineNumber, end: lineNumber, element: this.findElementByLineNumber(lineNumber), exact: true };
     }
+
+    // Fallback: content-based matching (works for BBCode, HTML, special syntax)
+    const matchedLine = this.findLineByContent(target);
+    if (matchedLine !== null) {
+      return { start: matchedLine, end: matchedLine, element: target, exact: false };
+    }
+
     return null;
   }
 
   // =============================================
-  // VIDEO SPECIAL HANDLING
+  // FOOTNOTES ([^label] references, [^label]: definitions and the footnotes list)
   // =============================================
+  // Neither the references nor the footnotes list carry lines. The Nth reference
+  // of the preview outside the footnotes list is paired with the Nth reference in
+  // the source outside definitions, and the Nth entry of the list with the Nth
+  // note of the source in the order the list is numbered in.
 
-  _handleVideoClick(target) {
-    // Check if clicked on video or inside video container
-    const video = target.closest('video');
-    const videoContainer = target.closest('.video-container, .video-placeholder-container, .onebox-video');
-
-    if (!video && !videoContainer) return null;
-
-    const lines = this.textArea.value.split("\n");
+  _handleFootnoteClick(target) {
+    const referenceElement = target.closest?.("sup.footnote-ref");
+    const reference = referenceElement && this._findFootnoteReference(referenceElement);
+    if (reference) {
+      return { start: reference.line, end: reference.line, element: referenceElement };
+    }
 
-    // Look for video-related syntax
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      // HTML video tag
-      if (/<video/i.test(line)) {
-        return i;
-      }
-      // BBCode video
-      if (/\[video\]/i.test(line)) {
-        return i;
-      }
-      // Video URL patterns
-      if (/\.(mp4|webm|ogg|mov)/i.test(line)) {
-        return i;
-      }
-      // YouTube/Vimeo embeds
-      if (/youtube\.com|youtu\.be|vimeo\.com/i.test(line)) {
-        return i;
-      }
+    const entryElement = target.closest?.("li.footnote-item");
+    const entry = entryElement && this._findFootnoteEntry(entryElement);
+    if (entry) {
+      return { start: entry.start, end: entry.end, element: entryElement };
     }
 
     return null;
   }
 
-  // =============================================
-  // EDITOR → PREVIEW (clicking/typing in editor scrolls preview)
-  // =============================================
+  _getFootnotes() {
+    return this._getLineIndex().footnotes;
+  }
 
-  _handleEditorClick(event) {
-    // Small delay to let selection settle
-    setTimeout(() => this._syncEditorToPreview(), 10);
+  // Reference elements outside the footnotes list, and the entries of the list.
+  // The list is recognized by its own class too, in case the section around it
+  // doesn't survive rendering.
+  _getFootnoteElements() {
+    const sourceMap = this._getSourceMap();
+    return {
+      references: sourceMap.elements("sup.footnote-ref").filter(
+        (element) => !element.closest(".footnotes, .footnotes-list")
+      ),
+      entries: sourceMap.elements("li.footnote-item")
+    };
   }
 
-  _handleEditorScroll() {
-    this._debouncedScrollPreview();
+  // The source reference { line, start, end, entry } of a reference element, or
+  // null when the counts of the preview and the source differ
+  _findFootnoteReference(element) {
+    const { references } = this._getFootnoteElements();
+    const footnotes = this._getFootnotes();
+    const index = references.indexOf(element);
+    return index >= 0 && references.length === footnotes.references.length ? footnotes.references[index] : null;
   }
 
-  _handleEditorInput() {
-    this._debouncedScrollPreview();
+  // The note { start, end, inline } of an entry of the footnotes list
+  _findFootnoteEntry(element) {
+    const { entries } = this._getFootnoteElements();
+    const footnotes = this._getFootnotes();
+    const index = entries.indexOf(element);
+    return index >= 0 && entries.length === footnotes.entries.length ? footnotes.entries[index] : null;
   }
 
-  _handleEditorKeyDown(event) {
-    if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown", "Enter", "Backspace", "Delete"].includes(event.key)) {
-      this._debouncedScrollPreview();
-    }
+  // The entry of the footnotes list for a caret on the lines of its definition
+  _findFootnoteEntryForLine(lineNumber) {
+    const { entries } = this._getFootnoteElements();
+    if (entries.length === 0) return null;
+
+    const footnotes = this._getFootnotes();
+    if (entries.length !== footnotes.entries.length) return null;
+
+    const index = footnotes.entries.findIndex(({ start, end, inline }) =>
+      !inline && lineNumber >= start && lineNumber <= end
+    );
+    return index >= 0 ? entries[index] : null;
   }
 
-  _handleEditorKeyUp(event) {
-    // Also sync on key up for better responsiveness
-    if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown"].includes(event.key)) {
-      this._syncEditorToPreview();
-    }
+  // Source offsets { start, end } of the text of a reference element
+  getFootnoteReferenceRange(element) {
+    const reference = this._findFootnoteReference(element);
+    if (!reference) return null;
+
+    const lineStart = this._getLineIndex().offsetOf(reference.line);
+    return { start: lineStart + reference.start, end: lineStart + reference.end };
   }
 
-  _debouncedScrollPreview() {
-    if (this._destroyed) {
-      return;
-    }
+  // Select the definition of the note of a source reference. Returns { element },
+  // the entry of the footnotes list (null when the preview has no matching entry),
+  // or null for inline notes, which are their own definition.
+  _selectFootnoteDefinition(reference) {
+    const footnotes = this._getFootnotes();
+    const note = reference && footnotes.entries[reference.entry];
+    if (!note || note.inline) return null;
+
+    this.scrollTextAreaToCorrectPosition(note.start, note.end);
+    const { entries } = this._getFootnoteElements();
+    return { element: entries.length === footnotes.entries.length ? entries[reference.entry] : null };
+  }
 
-    this._scrollDebounceTimer = debounce(
-      this,
-      this._syncEditorToPreview,
-      SCROLL_DEBOUNCE_MS
-    );
+  // =============================================
+  // BBCODE LISTS ([list] / [ul] / [ol] with [*] or [li] items)
+  // =============================================
+  // Markdown list items carry their own lines; the items of a BBCode list all get
+  // the lines of the whole list, so they are paired with the item markers found
+  // in its source, the Nth item with the Nth marker outside nested lists.
+
+  _handleBBCodeListItemClick(target) {
+    const item = target.closest?.("li");
+    const list = item?.parentElement;
+    if (!list || !this.previewWrapper?.contains(list)) return null;
+
+    const items = this._getBBCodeListItems(list);
+    const index = Array.from(list.children).filter((child) => child.tagName === "LI").indexOf(item);
+    if (!items || !items[index]) return null;
+
+    return { start: items[index].start, end: items[index].end, element: item };
   }
 
-  _syncEditorToPreview() {
-    if (this._destroyed || !this.textArea || !this.previewWrapper) {
-      return;
-    }
+  _findBBCodeListItemForLine(lineNumber) {
+    const list = this.findElementContainingLine(lineNumber)?.closest("ul, ol");
+    if (!list || !this.previewWrapper.contains(list)) return null;
 
-    // Prevent collapse during redraw
-    if (this.preview && this.preview.scrollHeight > 0) {
-      this.preview.style.minHeight = `${this.preview.scrollHeight}px`;
-    }
+    const items = this._getBBCodeListItems(list);
+    if (!items) return null;
 
-    const cursorPosition = this.textArea.selectionStart;
-    const textUpToCursor = this.textArea.value.substring(0, cursorPosition);
-    const lineNumber = textUpToCursor.split("\n").length - 1;
-    const currentLineText = this.getLineText(lineNumber);
+    // The list itself for its tag lines
+    const index = items.findIndex(({ start, end }) => lineNumber >= start && lineNumber <= end);
+    return index < 0 ? list : Array.from(list.children).filter((child) => child.tagName === "LI")[index];
+  }
 
-    // Special handling for details syntax in editor
-    let previewElement = this._findPreviewElementForDetailsSyntax(currentLineText, lineNumber);
+  // Source lines { start, end } of the items of a list rendered from BBCode, or
+  // null when the list isn't BBCode or the item counts differ
+  _getBBCodeListItems(list) {
+    const range = this.getLineRange(list);
+    const lines = this._getLineIndex().lines;
+    if (!range || range.element !== list || !/^\s*\[(?:list|ul|ol)(?=[\]=\s])/i.test(lines[range.start] || "")) {
+      return null;
+    }
 
-    // Try finding element by line number first (Markdown with data-ln)
-    if (!previewElement) {
-      previewElement = this.findElementByLineNumber(lineNumber);
+    const tags = [];
+    for (let line = range.start; line <= Math.min(range.end, lines.length - 1); line++) {
+      for (const match of lines[line].matchAll(PATTERNS.bbcodeListTag)) {
+        tags.push({ line, column: match.index, closing: match[1] === "/", marker: match[1] === undefined });
+      }
     }
 
-    // If not found, try content-based matching
-    if (!previewElement && currentLineText) {
-      previewElement = this.findElementByContent(currentLineText, lineNumber);
+    // An item ends on the line before the next marker or the closing tag, or on
+    // the same line when there's text before it
+    const items = [];
+    const endLastItem = ({ line, column }) => {
+      const last = items[items.length - 1];
+      if (last) {
+        last.end = Math.max(last.start, lines[line].slice(0, column).trim() ? line : line - 1);
+      }
+    };
+
+    let depth = 0;
+    for (const tag of tags) {
+      if (tag.marker) {
+        if (depth === 1) {
+          endLastItem(tag);
+          items.push({ start: tag.line, end: range.end });
+        }
+        continue;
+      }
+
+      depth += tag.closing ? -1 : 1;
+      if (depth === 0) {
+        endLastItem(tag);
+        break;
+      }
     }
 
-    // Special handling for specific element types
-    if (!previewElement) {
-      previewElement = this.findElementBySpecialSyntax(currentLineText, lineNumber);
+    const count = Array.from(list.children).filter((child) => child.tagName === "LI").length;
+    return items.length === count ? items : null;
+  }
+
+  // =============================================
+  // TABLE CELLS (a cell ↔ its segment of the pipe-delimited source row)
+  // =============================================
+
+  _handleTableCellClick(target) {
+    const cell = target.closest?.("td, th");
+    if (!cell || !this.previewWrapper?.contains(cell)) return null;
+
+    const range = this.getLineRange(cell.parentElement);
+    if (!range || range.element !== cell.parentElement) return null;
+
+    return { line: range.start, element: cell };
+  }
+
+  // Source offsets { start, end } of the text of a cell in its segment of the
+  // row; an empty cell gets an empty range inside its segment
+  getTableCellSourceRange(cell) {
+    const line = parseInt(cell?.parentElement?.getAttribute("data-ln"), 10);
+    const lineIndex = this._getLineIndex();
+    if (isNaN(line) || line >= lineIndex.lineCount) return null;
+
+    const lineText = lineIndex.lines[line];
+    const segment = tableCellSegments(lineText)[cell.cellIndex];
+    if (!segment) return null;
+
+    const lineStart = lineIndex.offsetOf(line);
+    const text = lineText.slice(segment.start, segment.end);
+    if (!text.trim()) {
+      const middle = lineStart + Math.min(segment.start + 1, segment.end);
+      return { start: middle, end: middle };
     }
 
-    if (previewElement) {
-      this._highlightDebounceTimer = debounce(
-        this,
-        () => this.updateActiveElementCSSStyleRule(previewElement),
-        HIGHLIGHT_DEBOUNCE_MS
-      );
+    const start = lineStart + segment.start + (text.length - text.trimStart().length);
+    return { start, end: start + text.trim().length };
+  }
 
-      // Scroll preview to show the element
-      this.scrollPreviewToElement(previewElement);
+  // The cell of a table row under the caret column of its source line; on the
+  // alignment row, the header cell of the column. Other elements are returned as is.
+  _findTableCellForColumn(element, lineText, column) {
+    if (!element || !lineText.includes("|")) return element;
+
+    let row = null;
+    if (element.tagName === "TR") {
+      row = element;
+    } else if (element.tagName === "TABLE" && PATTERNS.mdTableAlignment.test(lineText)) {
+      row = element.rows[0];
     }
+    if (!row) return element;
+
+    const segments = tableCellSegments(lineText);
+    const index = segments.findIndex(({ end }) => column <= end);
+    return row.cells[index < 0 ? segments.length - 1 : index] || element;
   }
 
-  _findPreviewElementForDetailsSyntax(lineText, lineNumber) {
-    if (!this.previewWrapper) return null;
-
-    // Check if on [details="..."] line
-    const detailsOpenMatch = lineText.match(PATTERNS.detailsOpen);
-    if (detailsOpenMatch) {
-      const title = detailsOpenMatch[1];
-      const normalizedTitle = this.normalizeText(title);
-
-      // Find the details element with matching summary
-      const allDetails = this.previewWrapper.querySelectorAll('details');
-      for (const details of allDetails) {
-        const summary = details.querySelector('summary');
-        if (summary) {
-          const summaryText = this.normalizeText(summary.textContent);
-          if (summaryText === normalizedTitle ||
-              summaryText.includes(normalizedTitle) ||
-              normalizedTitle.includes(summaryText)) {
-            return details;
-          }
-        }
+  // =============================================
+  // DETAILS/SUMMARY SPECIAL HANDLING
+  // =============================================
+
+  _handleDetailsClick(target) {
+    if (!this.textArea) return null;
+
+    // Check if clicked on summary element (the clickable title)
+    const summary = target.closest('summary');
+    if (summary) {
+      const details = summary.closest('details');
+      // Find the [details="..."] line of this very details block
+      return this._findDetailsOpeningLine(details);
+    }
+
+    // Check if clicked inside a details element (but not summary)
+    const details = target.closest('details');
+    if (details && !target.closest('summary')) {
+      // Find the content line or the closing tag
+      const contentLine = this._findDetailsContentLine(target, details);
+      if (contentLine !== null) {
+        return { line: contentLine, element: target };
       }
-      // Return first details if no match
-      if (allDetails.length > 0) return allDetails[0];
-    }
-
-    // Check if on [/details] line
-    if (PATTERNS.detailsClose.test(lineText)) {
-      // Find content just before [/details]
-      const lines = this.textArea.value.split("\n");
-      // Look backwards for content
-      for (let i = lineNumber - 1; i >= 0; i--) {
-        const prevLine = lines[i].trim();
-        if (prevLine && !PATTERNS.detailsOpen.test(prevLine) && !PATTERNS.detailsClose.test(prevLine)) {
-          // Find this content in preview
-          const normalizedPrev = this.normalizeText(this.stripAllSyntax(prevLine));
-          if (normalizedPrev) {
-            // Look inside details elements
-            const allDetails = this.previewWrapper.querySelectorAll('details');
-            for (const details of allDetails) {
-              const content = details.textContent;
-              if (this.normalizeText(content).includes(normalizedPrev)) {
-                return details;
-              }
-            }
+    }
+
+    return null;
+  }
+
+  // Parse the [details] open/close tags of the source into blocks, in the order of
+  // their opening tags (the same order querySelectorAll gives the <details> elements).
+  // Unclosed blocks run to the last line.
+  _parseDetailsBlocks() {
+    // Tags shown inside fenced code don't render a <details>
+    const lines = this._getLineIndex().unfencedLines;
+    const blocks = [];
+    const stack = [];
+
+    lines.forEach((line, i) => {
+      for (const match of line.matchAll(PATTERNS.detailsTag)) {
+        if (match[1]) {
+          const block = stack.pop();
+          if (block) {
+            block.end = i;
           }
-          break;
+        } else {
+          const block = {
+            start: i,
+            end: null,
+            title: match[2] ?? match[3] ?? "",
+            parent: stack[stack.length - 1] || null
+          };
+          blocks.push(block);
+          stack.push(block);
         }
       }
-      // Fallback: return last details element
-      const allDetails = this.previewWrapper.querySelectorAll('details');
-      if (allDetails.length > 0) return allDetails[allDetails.length - 1];
-    }
+    });
 
-    return null;
+    stack.forEach((block) => (block.end = lines.length - 1));
+    return blocks;
   }
 
-  scrollPreviewToElement(element) {
-    if (!element || !this.previewWrapper) return;
+  _getDetailsTitle(detailsElement) {
+    return this.normalizeText(detailsElement.querySelector(':scope > summary')?.textContent);
+  }
 
-    // Calculate offset relative to previewWrapper since that's the scrollable element
-    const offset = this.getOffsetTopUntil(element, this.previewWrapper);
-    const targetScroll = offset - parseInt(this.previewWrapper.clientHeight / 2, 10);
+  // Pair the <details> elements of the preview with the parsed source blocks.
+  // Equal counts pair by position; otherwise (HTML <details>, half-typed tags)
+  // blocks are paired by title, the Nth same-titled element with the Nth block.
+  _pairDetailsBlocks() {
+    const blocks = this._parseDetailsBlocks();
+    const elements = this._getSourceMap().elements('details');
 
-    // Smooth scroll the preview wrapper
-    this.previewWrapper.scrollTo({
-      top: Math.max(0, targetScroll),
-      behavior: 'smooth'
-    });
+    if (elements.length === blocks.length) {
+      return elements.map((element, i) => ({ element, block: blocks[i] }));
+    }
+
+    const pairs = [];
+    const seenTitles = new Map();
+    for (const element of elements) {
+      const title = this._getDetailsTitle(element);
+      const occurrence = seenTitles.get(title) || 0;
+      seenTitles.set(title, occurrence + 1);
+
+      const sameTitle = blocks.filter((block) => this.normalizeText(block.title) === title);
+      if (sameTitle[occurrence]) {
+        pairs.push({ element, block: sameTitle[occurrence] });
+      }
+    }
+    return pairs;
   }
 
-  // =============================================
-  // CONTENT-BASED MATCHING (for all syntax types)
-  // =============================================
+  _findDetailsBlockForElement(detailsElement) {
+    return this._pairDetailsBlocks().find((pair) => pair.element === detailsElement)?.block || null;
+  }
 
-  findLineByContent(element) {
-    if (!element || !this.textArea) return null;
+  _findDetailsOpeningLine(detailsElement) {
+    const block = this._findDetailsBlockForElement(detailsElement);
+    return block ? { line: block.start, element: detailsElement } : null;
+  }
 
-    const elementText = element.textContent?.trim();
-    if (!elementText || elementText.length < 1) return null;
+  _findDetailsContentLine(target, detailsElement) {
+    const lines = this._getLineIndex().lines;
+    const targetText = target.textContent?.trim();
 
-    const lines = this.textArea.value.split("\n");
-    const normalizedTarget = this.normalizeText(elementText);
+    if (!targetText) return null;
 
-    // First pass: exact match
-    for (let i = 0; i < lines.length; i++) {
-      const strippedLine = this.stripAllSyntax(lines[i]);
-      const normalizedLine = this.normalizeText(strippedLine);
+    const block = this._findDetailsBlockForElement(detailsElement);
+    if (!block) return null;
 
-      if (normalizedLine && normalizedTarget) {
-        // Exact match
-        if (normalizedLine === normalizedTarget) {
-          return i;
+    // Lines of nested details blocks belong to those blocks, not this one
+    const nestedLines = new Set();
+    for (const other of this._parseDetailsBlocks()) {
+      if (other.parent && other.parent.start === block.start) {
+        for (let i = other.start; i <= other.end; i++) {
+          nestedLines.add(i);
         }
       }
     }
 
-    // Second pass: contains match
-    for (let i = 0; i < lines.length; i++) {
+    // Search within the details block for matching content
+    const normalizedTarget = this.normalizeText(targetText);
+    for (let i = block.start + 1; i < block.end; i++) {
+      if (nestedLines.has(i)) continue;
+
       const strippedLine = this.stripAllSyntax(lines[i]);
       const normalizedLine = this.normalizeText(strippedLine);
 
       if (normalizedLine && normalizedTarget) {
-        if (normalizedLine.includes(normalizedTarget) ||
+        if (normalizedLine === normalizedTarget ||
+            normalizedLine.includes(normalizedTarget) ||
             normalizedTarget.includes(normalizedLine)) {
           return i;
         }
       }
     }
 
-    // Third pass: fuzzy match
-    for (let i = 0; i < lines.length; i++) {
-      const strippedLine = this.stripAllSyntax(lines[i]);
-      const normalizedLine = this.normalizeText(strippedLine);
+    // If clicking near end, return the [/details] line
+    return block.end;
+  }
+
+  // =============================================
+  // SPECIAL ELEMENT HANDLING (videos, polls, dates, spoilers, code, quotes, images)
+  // =============================================
+
+  _handleSpecialElementClick(target) {
+    if (!this.textArea || !this.previewWrapper) return null;
+
+    const { lines, unfencedLines } = this._getLineIndex();
 
-      if (normalizedLine && normalizedTarget && this.fuzzyMatch(normalizedLine, normalizedTarget)) {
-        return i;
+    for (const type of SPECIAL_ELEMENTS) {
+      if (!target.closest(type.selector)) continue;
+
+      // The outermost element of this type around the click, and its ordinal
+      const elements = this._getSpecialElements(type);
+      const ordinal = elements.findIndex((element) => element.contains(target));
+      if (ordinal < 0) continue;
+
+      const line = type.findOccurrences(type.includesFencedCode ? lines : unfencedLines)[ordinal];
+      if (line !== undefined) {
+        return { line, element: elements[ordinal] };
       }
     }
 
     return null;
   }
 
-  findElementByContent(lineText, lineNumber) {
-    if (!lineText || !this.previewWrapper) return null;
+  _findSpecialElementForLine(type, lineNumber) {
+    const { lines, unfencedLines } = this._getLineIndex();
+    const occurrences = type.findOccurrences(type.includesFencedCode ? lines : unfencedLines);
 
-    const strippedText = this.stripAllSyntax(lineText);
-    const normalizedLine = this.normalizeText(strippedText);
+    // The first occurrence on this line, or else the last one before it
+    let ordinal = occurrences.indexOf(lineNumber);
+    if (ordinal < 0) {
+      ordinal = occurrences.filter((line) => line < lineNumber).length - 1;
+    }
+    if (ordinal < 0) return null;
 
-    if (!normalizedLine || normalizedLine.length < 1) return null;
+    const elements = this._getSpecialElements(type);
+    const element = elements[Math.min(ordinal, elements.length - 1)];
+    if (!element) return null;
 
-    // Determine what type of element to look for based on line content
-    const elementTypes = this.getExpectedElementTypes(lineText);
+    return type.toElement ? type.toElement(element) : element;
+  }
 
-    // Get candidate elements
-    const selector = elementTypes.join(', ');
-    const candidates = this.previewWrapper.querySelectorAll(selector);
+  // Outermost preview elements of a special type, in document order
+  _getSpecialElements(type) {
+    return this._outermostElements(this._getSourceMap().elements(type.selector));
+  }
 
-    let bestMatch = null;
-    let bestScore = 0;
+  // =============================================
+  // REGISTERED MATCHERS (from other plugins and themes, see services/click-to-edit.js)
+  // =============================================
 
-    for (const candidate of candidates) {
-      // Skip if element already has a matching data-ln
-      const dataLn = candidate.getAttribute('data-ln');
-      if (dataLn !== null && parseInt(dataLn, 10) !== lineNumber) continue;
+  _getRegisteredMatchers() {
+    return this.matcherRegistry?.matchers || [];
+  }
 
-      const candidateText = this.normalizeText(candidate.textContent);
-      if (!candidateText) continue;
+  _handleRegisteredMatcherClick(target) {
+    if (!this.textArea || !this.previewWrapper) return null;
 
-      const score = this.getMatchScore(normalizedLine, candidateText);
-      if (score > bestScore && score > 0.3) {
-        bestScore = score;
-        bestMatch = candidate;
+    const lines = this._getLineIndex().lines;
+
+    for (const matcher of this._getRegisteredMatchers()) {
+      const elements = this._getMatcherElements(matcher);
+      const element = elements.find((candidate) => candidate.contains(target));
+      if (!element) continue;
+
+      let line;
+      if (matcher.findLine) {
+        line = this._callMatcher(matcher, () => matcher.findLine(element, { lines, elements }));
+      } else {
+        // Nth element ↔ Nth detected line
+        line = this._getMatcherLines(matcher, lines)[elements.indexOf(element)];
+      }
+
+      if (Number.isInteger(line)) {
+        return { line, element };
       }
     }
 
-    return bestMatch;
+    return null;
   }
 
-  findElementBySpecialSyntax(lineText, lineNumber) {
-    if (!lineText || !this.previewWrapper) return null;
+  _findElementWithRegisteredMatchers(lineText, lineNumber) {
+    if (!this.textArea || !this.previewWrapper) return null;
 
-    // Check for specific patterns and find corresponding elements
+    const lines = this._getLineIndex().lines;
 
-    // Tables
-    if (lineText.includes('|') && PATTERNS.mdTableRow.test(lineText)) {
-      const tables = this.previewWrapper.querySelectorAll('table');
-      if (tables.length > 0) {
-        // Find the row that matches
-        const cells = lineText.split('|').filter(c => c.trim()).map(c => this.normalizeText(c.trim()));
-        for (const table of tables) {
-          const rows = table.querySelectorAll('tr');
-          for (const row of rows) {
-            const rowCells = Array.from(row.querySelectorAll('td, th')).map(c => this.normalizeText(c.textContent));
-            if (cells.some(c => rowCells.some(rc => rc.includes(c) || c.includes(rc)))) {
-              return row;
-            }
-          }
-        }
-        return tables[0];
+    for (const matcher of this._getRegisteredMatchers()) {
+      if (!this._callMatcher(matcher, () => matcher.detectLine(lineText, lineNumber, lines))) continue;
+
+      const elements = this._getMatcherElements(matcher);
+      let element;
+      if (matcher.findElement) {
+        element = this._callMatcher(matcher, () => matcher.findElement(lineNumber, { lines, elements }));
+      } else {
+        // Nth detected line ↔ Nth element
+        element = elements[this._getMatcherLines(matcher, lines).indexOf(lineNumber)];
       }
-    }
 
-    // Images
-    if (lineText.includes('![') || /\[img\]/i.test(lineText)) {
-      const images = this.previewWrapper.querySelectorAll('img');
-      if (images.length > 0) {
-        // Try to match by alt text or filename
-        const altMatch = lineText.match(/!\[([^\]]*)\]/);
-        if (altMatch) {
-          const altText = this.normalizeText(altMatch[1]);
-          for (const img of images) {
-            if (this.normalizeText(img.alt).includes(altText)) {
-              return img.parentElement || img;
-            }
-          }
-        }
-        return images[0].parentElement || images[0];
+      if (element) {
+        return element;
       }
     }
 
-    // Videos - enhanced handling
-    if (lineText.includes('<video') || /\[video\]/i.test(lineText) ||
-        /\.(mp4|webm|ogg|mov)/i.test(lineText) ||
-        /youtube\.com|youtu\.be|vimeo\.com/i.test(lineText)) {
-      const videos = this.previewWrapper.querySelectorAll('video, .video-container, .onebox, .onebox-video, iframe[src*="youtube"], iframe[src*="vimeo"]');
-      if (videos.length > 0) return videos[0];
-    }
+    return null;
+  }
 
-    // Polls
-    if (/\[poll/i.test(lineText)) {
-      const polls = this.previewWrapper.querySelectorAll('.poll, [data-poll-name]');
-      if (polls.length > 0) return polls[0];
-    }
+  _getMatcherElements(matcher) {
+    const elements = this._callMatcher(matcher, () => this._getSourceMap().elements(matcher.selector));
+    return this._outermostElements(elements || []);
+  }
 
-    // Dates
-    if (/\[date=/i.test(lineText)) {
-      const dates = this.previewWrapper.querySelectorAll('.discourse-local-date, [data-date]');
-      if (dates.length > 0) return dates[0];
-    }
+  _getMatcherLines(matcher, lines) {
+    return this._callMatcher(matcher, () =>
+      lines.map((line, i) => (matcher.detectLine(line, i, lines) ? i : -1)).filter((i) => i >= 0)
+    ) || [];
+  }
 
-    // Details/spoilers - use enhanced handling
-    if (PATTERNS.detailsOpen.test(lineText)) {
-      const match = lineText.match(PATTERNS.detailsOpen);
-      if (match) {
-        const title = match[1];
-        const normalizedTitle = this.normalizeText(title);
-        const allDetails = this.previewWrapper.querySelectorAll('details');
-        for (const details of allDetails) {
-          const summary = details.querySelector('summary');
-          if (summary) {
-            const summaryText = this.normalizeText(summary.textContent);
-            if (summaryText.includes(normalizedTitle) || normalizedTitle.includes(summaryText)) {
-              return details;
-            }
-          }
-        }
-        if (allDetails.length > 0) return allDetails[0];
+  // A broken third-party matcher must not break click-to-edit, nor flood the
+  // console on every caret move: each matcher's first error is thrown again on a
+  // later tick, where the console and Discourse's error reporting see it
+  _callMatcher(matcher, callback) {
+    try {
+      return callback();
+    } catch (error) {
+      if (!failedMatchers.has(matcher)) {
+        failedMatchers.add(matcher);
+        setTimeout(() => {
+          throw error;
+        });
       }
+      return null;
     }
+  }
 
-    if (PATTERNS.detailsClose.test(lineText)) {
-      const allDetails = this.previewWrapper.querySelectorAll('details');
-      if (allDetails.length > 0) return allDetails[allDetails.length - 1];
-    }
+  // =============================================
+  // EDITOR → PREVIEW (clicking/typing in editor scrolls preview)
+  // =============================================
 
-    if (/\[spoiler\]/i.test(lineText)) {
-      const spoilers = this.previewWrapper.querySelectorAll('.spoiler, .spoiled, .spoiler-blurred');
-      if (spoilers.length > 0) return spoilers[0];
-    }
+  _handleEditorClick(event) {
+    // Small delay to let selection settle
+    setTimeout(() => this._syncEditorToPreview(), 10);
+  }
 
-    // Code blocks
-    if (lineText.startsWith('```') || /\[code\]/i.test(lineText)) {
-      const codeBlocks = this.previewWrapper.querySelectorAll('pre, code');
-      if (codeBlocks.length > 0) return codeBlocks[0];
+  _handleEditorMouseUp() {
+    this._debouncedScrollPreview();
+  }
+
+  _handleEditorInput() {
+    this._getLineIndex();
+    this._debouncedScrollPreview();
+  }
+
+  // Line index of the textarea's current value. Typing keeps it up to date; this
+  // also catches changes made without an input event (toolbar buttons, drafts).
+  _getLineIndex() {
+    // Normalized lines depend on the registered matchers' stripSyntax (the
+    // registry replaces its list whenever a matcher comes or goes)
+    const matchers = this.matcherRegistry?.matchers || null;
+    if (matchers !== this._lineIndexMatchers) {
+      this._lineIndex.clearNormalized();
+      this._lineIndexMatchers = matchers;
     }
 
-    // Blockquotes
-    if (lineText.startsWith('>') || /\[quote/i.test(lineText)) {
-      const quotes = this.previewWrapper.querySelectorAll('blockquote, .quote');
-      if (quotes.length > 0) return quotes[0];
+    const change = this._lineIndex.update(this.textArea.value);
+    if (change) {
+      this._forgetLineHeights(change);
     }
+    return this._lineIndex;
+  }
 
-    // Headings
-    const headingMatch = lineText.match(/^(#{1,6})\s/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      const headings = this.previewWrapper.querySelectorAll(`h${level}`);
-      if (headings.length > 0) {
-        const headingText = this.normalizeText(lineText.replace(/^#+\s*/, ''));
-        for (const h of headings) {
-          if (this.normalizeText(h.textContent).includes(headingText)) {
-            return h;
+  // Source map of the current render of the preview. Without a preview to
+  // observe there is no telling when it goes stale, so it is only kept until the
+  // current task is done.
+  _getSourceMap() {
+    if (!this._sourceMap) {
+      const sourceMap = new SourceMap(this.previewWrapper);
+      this._sourceMap = sourceMap;
+      if (!this._previewObserver) {
+        queueMicrotask(() => {
+          if (this._sourceMap === sourceMap) {
+            this._sourceMap = null;
           }
-        }
-        return headings[0];
+        });
       }
     }
+    return this._sourceMap;
+  }
 
-    // Emojis
-    if (PATTERNS.discourseEmoji.test(lineText)) {
-      const emojis = this.previewWrapper.querySelectorAll('img.emoji, .emoji');
-      if (emojis.length > 0) return emojis[0].closest('p') || emojis[0];
+  _getNormalizedLine(lineIndex, line) {
+    return lineIndex.normalized(line, (text) => this.normalizeText(this.stripAllSyntax(text)));
+  }
+
+  _handleEditorKeyDown(event) {
+    if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown", "Enter", "Backspace", "Delete"].includes(event.key)) {
+      this._debouncedScrollPreview();
     }
+  }
 
-    return null;
+  _handleEditorKeyUp(event) {
+    // Also sync on key up for better responsiveness
+    if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown"].includes(event.key)) {
+      this._syncEditorToPreview();
+    }
   }
 
-  getExpectedElementTypes(lineText) {
-    const types = new Set(['p', 'li', 'span', 'div']);
+  // =============================================
+  // SCROLL SYNC (scrolling the textarea scrolls the preview)
+  // =============================================
 
-    // Headings
-    if (/^#{1,6}\s/.test(lineText)) {
-      const level = (lineText.match(/^(#+)/) || ['', '#'])[1].length;
-      types.add(`h${level}`);
+  _handleEditorScroll() {
+    if (this._scrollSyncFrame || Date.now() < this._scrollSyncSuppressedUntil) {
+      return;
     }
 
-    // Lists
-    if (/^[\*\-\+]\s/.test(lineText) || /^\d+\.\s/.test(lineText) || /\[li\]/i.test(lineText)) {
-      types.add('li');
-      types.add('ul');
-      types.add('ol');
-    }
+    this._scrollSyncFrame = requestAnimationFrame(() => {
+      this._scrollSyncFrame = null;
+      this._syncPreviewToEditorScroll();
+    });
+  }
 
-    // Tables
-    if (lineText.includes('|')) {
-      types.add('table');
-      types.add('tr');
-      types.add('td');
-      types.add('th');
-    }
+  _suppressScrollSync() {
+    this._scrollSyncSuppressedUntil = Date.now() + SCROLL_SYNC_SUPPRESS_MS;
+    this._previewScrollSyncSuppressedUntil = Date.now() + SCROLL_SYNC_SUPPRESS_MS;
+  }
 
-    // Blockquotes
-    if (lineText.startsWith('>') || /\[quote/i.test(lineText)) {
-      types.add('blockquote');
-      types.add('.quote');
+  // Align the preview with the source line at the top of the visible textarea,
+  // interpolating between the data-ln anchors around that line
+  _syncPreviewToEditorScroll() {
+    if (this._destroyed || !this.textArea || !this.previewWrapper) {
+      return;
     }
 
-    // Code
-    if (lineText.includes('`') || /\[code\]/i.test(lineText)) {
-      types.add('code');
-      types.add('pre');
-    }
+    const ta = this.textArea;
 
-    // Links
-    if (/\[.*\]\(.*\)/.test(lineText) || /\[url/i.test(lineText)) {
-      types.add('a');
+    // The preview scroll events this causes must not scroll the textarea back
+    this._previewScrollSyncSuppressedUntil = Date.now() + SCROLL_SYNC_SUPPRESS_MS;
+
+    // At the very top or bottom, align the ends exactly
+    if (ta.scrollTop <= 0) {
+      this.previewWrapper.scrollTop = 0;
+      return;
+    }
+    if (ta.scrollTop + ta.clientHeight >= ta.scrollHeight - 1) {
+      this.previewWrapper.scrollTop = this.previewWrapper.scrollHeight;
+      return;
     }
 
-    // Images
-    if (/!\[.*\]/.test(lineText) || /\[img\]/i.test(lineText)) {
-      types.add('img');
-      types.add('.lightbox-wrapper');
+    const topLine = this._getTextAreaLineAt(ta.scrollTop);
+    const previewTop = this._getPreviewOffsetForLine(topLine);
+    if (previewTop !== null) {
+      this.previewWrapper.scrollTop = previewTop;
     }
+  }
 
-    // Videos
-    if (/<video/i.test(lineText) || /\[video\]/i.test(lineText) || /\.(mp4|webm|ogg)/i.test(lineText)) {
-      types.add('video');
-      types.add('.video-container');
-      types.add('.onebox');
+  // Fractional source line at vertical position `y` of the textarea content,
+  // following soft-wrapped lines
+  _getTextAreaLineAt(y) {
+    const lineTops = this._measureTextAreaLines();
+
+    let low = 0;
+    let high = lineTops.length - 2;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineTops[middle] <= y) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
     }
 
-    // Bold/italic/formatting
-    if (/\*\*.*\*\*/.test(lineText) || /\[b\]/i.test(lineText)) {
-      types.add('strong');
-      types.add('b');
+    const lineHeight = lineTops[low + 1] - lineTops[low];
+    return low + (lineHeight > 0 ? Math.min(1, Math.max(0, (y - lineTops[low]) / lineHeight)) : 0);
+  }
+
+  // Top offset of every source line in the textarea, measured in a hidden mirror
+  // with the same width and font. The last entry is the end of the content.
+  // The height of each line is kept until the line changes or the width does,
+  // so an edit only measures the lines it touched.
+  _measureTextAreaLines() {
+    const ta = this.textArea;
+    const { lines } = this._getLineIndex();
+    if (this._lineTopsWidth !== ta.clientWidth) {
+      this._forgetLineHeights();
+      this._lineTopsWidth = ta.clientWidth;
     }
-    if (/\*[^*]+\*/.test(lineText) || /\[i\]/i.test(lineText)) {
-      types.add('em');
-      types.add('i');
+    if (this._lineTops) {
+      return this._lineTops;
     }
 
-    // Special elements
-    if (/\[details/i.test(lineText)) {
-      types.add('details');
-      types.add('summary');
+    if (!this.lineMirror) {
+      this.lineMirror = document.createElement("div");
+      document.body.appendChild(this.lineMirror);
     }
-    if (/\[spoiler/i.test(lineText)) types.add('.spoiler');
-    if (/\[poll/i.test(lineText)) types.add('.poll');
-    if (/\[date/i.test(lineText)) types.add('.discourse-local-date');
 
-    return Array.from(types);
-  }
+    const computedStyle = getComputedStyle(ta);
+    const heights = this._lineHeights || new Array(lines.length);
+    const unmeasured = [];
+    for (let line = 0; line < lines.length; line++) {
+      if (heights[line] === undefined) {
+        unmeasured.push(line);
+      }
+    }
 
-  // =============================================
-  // TEXT PROCESSING
-  // =============================================
+    if (unmeasured.length > 0) {
+      this.lineMirror.style.cssText =
+        "visibility:hidden;position:absolute;left:-9999px;top:0;height:auto;overflow:hidden;" +
+        "box-sizing:border-box;border:0;white-space:pre-wrap;overflow-wrap:break-word";
+      for (const property of ["fontFamily", "fontSize", "fontWeight", "letterSpacing", "lineHeight",
+                              "paddingTop", "paddingRight", "paddingBottom", "paddingLeft", "tabSize", "wordSpacing"]) {
+        this.lineMirror.style[property] = computedStyle[property];
+      }
+      this.lineMirror.style.width = `${ta.clientWidth}px`;
+
+      this.lineMirror.replaceChildren(...unmeasured.map((line) => {
+        const lineElement = document.createElement("div");
+        // Empty lines still take up one line
+        lineElement.textContent = lines[line] || "\u200b";
+        return lineElement;
+      }));
+      Array.from(this.lineMirror.children).forEach((lineElement, i) => {
+        heights[unmeasured[i]] = lineElement.getBoundingClientRect().height;
+      });
+      this.lineMirror.replaceChildren();
+    }
+    this._lineHeights = heights;
 
-  stripAllSyntax(text) {
-    if (!text) return '';
+    let top = parseFloat(computedStyle.paddingTop) || 0;
+    this._lineTops = heights.map((height) => {
+      const lineTop = top;
+      top += height;
+      return lineTop;
+    });
+    this._lineTops.push(top + (parseFloat(computedStyle.paddingBottom) || 0));
 
-    let result = text;
+    return this._lineTops;
+  }
 
-    // Strip BBCode tags
-    result = result.replace(PATTERNS.bbcode, '');
+  // Forget the measured heights of the lines an edit { start, removed, added }
+  // replaced, or of all lines
+  _forgetLineHeights(change = null) {
+    this._lineTops = null;
+    if (!change || !this._lineHeights) {
+      this._lineHeights = null;
+      return;
+    }
 
-    // Strip Markdown formatting
-    result = result.replace(PATTERNS.mdBold, '$1');
-    result = result.replace(PATTERNS.mdItalic, '$1');
-    result = result.replace(PATTERNS.mdStrike, '$1');
-    result = result.replace(PATTERNS.mdCode, '$1');
-    result = result.replace(PATTERNS.mdLink, '$1');
-    result = result.replace(PATTERNS.mdImage, '$1');
-    result = result.replace(PATTERNS.mdHeading, '');
-    result = result.replace(PATTERNS.mdQuote, '');
-    result = result.replace(PATTERNS.mdUnorderedList, '');
-    result = result.replace(PATTERNS.mdOrderedList, '');
-    result = result.replace(PATTERNS.mdFootnote, '$1');
+    const { start, removed, added } = change;
+    this._lineHeights = this._lineHeights.slice(0, start).concat(
+      new Array(added),
+      this._lineHeights.slice(start + removed)
+    );
+  }
 
-    // Strip HTML tags
-    result = result.replace(PATTERNS.htmlTag, '');
+  // Block elements with a line, in source order, with their offset in the preview.
+  // Elements out of order (e.g. inside a collapsed details block) are skipped.
+  _getPreviewAnchors() {
+    const anchors = [];
+    let lastLine = -1;
+    let lastTop = -Infinity;
 
-    // Strip Discourse special syntax
-    result = result.replace(PATTERNS.discourseUpload, '');
-    result = result.replace(PATTERNS.discourseDate, '');
+    for (const { element, start: line } of this._getSourceMap().blocks) {
+      if (line <= lastLine) continue;
 
-    // Clean up table syntax
-    result = result.replace(/^\||\|$/g, '');
-    result = result.replace(/\|/g, ' ');
+      const top = this.getOffsetTopUntil(element, this.previewWrapper);
+      if (top < lastTop) continue;
 
-    return result.trim();
+      anchors.push({ line, top });
+      lastLine = line;
+      lastTop = top;
+    }
+
+    return anchors;
   }
 
-  normalizeText(text) {
-    if (!text) return '';
-    return text
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF]/g, '') // Keep unicode letters
-      .trim();
+  // Preview offset of a (fractional) source line, interpolated between the
+  // anchors before and after it
+  _getPreviewOffsetForLine(line) {
+    const anchors = this._getPreviewAnchors();
+    if (anchors.length === 0) return null;
+
+    let before = { line: 0, top: 0 };
+    let after = {
+      line: this._getLineIndex().lineCount,
+      top: this.previewWrapper.scrollHeight - this.previewWrapper.clientHeight
+    };
+
+    for (const anchor of anchors) {
+      if (anchor.line <= line) {
+        before = anchor;
+      } else {
+        after = anchor;
+        break;
+      }
+    }
+
+    const span = after.line - before.line;
+    const progress = span > 0 ? (line - before.line) / span : 0;
+    return before.top + Math.max(0, after.top - before.top) * progress;
   }
 
-  fuzzyMatch(str1, str2) {
-    if (!str1 || !str2) return false;
-    const shorter = str1.length < str2.length ? str1 : str2;
-    const longer = str1.length < str2.length ? str2 : str1;
+  // =============================================
+  // LINE NUMBER GUTTER (source line numbers beside the textarea)
+  // =============================================
 
-    if (shorter.length < 3) return shorter === longer;
+  _createGutter() {
+    const wrapper = this.textArea.parentElement;
+    if (!wrapper) {
+      return;
+    }
 
-    // Check word overlap
-    const words1 = shorter.split(' ').filter(w => w.length > 2);
-    const words2 = longer.split(' ').filter(w => w.length > 2);
+    this.gutter = document.createElement("div");
+    this.gutter.className = "click-to-edit-gutter";
+    this.gutter.setAttribute("aria-hidden", "true");
+    wrapper.classList.add("click-to-edit-has-gutter");
+    wrapper.insertBefore(this.gutter, this.textArea);
 
-    if (words1.length === 0) return false;
+    this.gutterUpdateHandler = this._scheduleGutterRender.bind(this);
+    this.gutterMouseDownHandler = this._handleGutterMouseDown.bind(this);
+    this.textArea.addEventListener("scroll", this.gutterUpdateHandler, { passive: true });
+    this.textArea.addEventListener("input", this.gutterUpdateHandler);
+    this.gutter.addEventListener("mousedown", this.gutterMouseDownHandler);
 
-    let matches = 0;
-    for (const word of words1) {
-      if (words2.some(w => w.includes(word) || word.includes(w))) {
-        matches++;
-      }
+    // Wrapping changes with the width of the textarea
+    if (typeof ResizeObserver !== "undefined") {
+      this._gutterResizeObserver = new ResizeObserver(this.gutterUpdateHandler);
+      this._gutterResizeObserver.observe(this.textArea);
     }
 
-    return matches / words1.length >= 0.5;
+    this._renderGutter();
   }
 
-  getMatchScore(str1, str2) {
-    if (!str1 || !str2) return 0;
+  _scheduleGutterRender() {
+    if (this._gutterFrame || !this.gutter) {
+      return;
+    }
 
-    // Exact match
-    if (str1 === str2) return 1;
+    this._gutterFrame = requestAnimationFrame(() => {
+      this._gutterFrame = null;
+      this._renderGutter();
+    });
+  }
 
-    // Contains match
-    if (str1.includes(str2) || str2.includes(str1)) {
-      const shorter = Math.min(str1.length, str2.length);
-      const longer = Math.max(str1.length, str2.length);
-      return shorter / longer;
+  // Numbers for the visible source lines only, each at the top of its first
+  // (soft-wrapped) row
+  _renderGutter() {
+    if (this._destroyed || !this.gutter || !this.textArea) {
+      return;
     }
 
-    // Word-based matching
-    const words1 = str1.split(' ').filter(w => w.length > 2);
-    const words2 = str2.split(' ').filter(w => w.length > 2);
+    const ta = this.textArea;
+    const lineCount = this._getLineIndex().lineCount;
 
-    if (words1.length === 0 || words2.length === 0) return 0;
+    // The gutter widens with the number of digits, which changes the wrapping
+    const digits = String(lineCount).length;
+    if (digits !== this._gutterDigits) {
+      this._gutterDigits = digits;
+      ta.parentElement.style.setProperty("--click-to-edit-gutter-width", `calc(${digits}ch + 12px)`);
+      this._forgetLineHeights();
+    }
 
-    let matches = 0;
-    for (const word of words1) {
-      if (words2.some(w => w.includes(word) || word.includes(w))) {
-        matches++;
+    const computedStyle = getComputedStyle(ta);
+    Object.assign(this.gutter.style, {
+      top: `${ta.offsetTop + ta.clientTop}px`,
+      left: `${ta.offsetLeft + ta.clientLeft}px`,
+      height: `${ta.clientHeight}px`,
+      fontFamily: computedStyle.fontFamily,
+      fontSize: computedStyle.fontSize,
+      lineHeight: computedStyle.lineHeight
+    });
+
+    const lineTops = this._measureTextAreaLines();
+    const scrollTop = ta.scrollTop;
+    const first = Math.floor(this._getTextAreaLineAt(scrollTop));
+    const last = Math.min(lineCount - 1, Math.ceil(this._getTextAreaLineAt(scrollTop + ta.clientHeight)));
+    const highlighted = this._highlightedLines;
+
+    const lineElements = [];
+    for (let line = first; line <= last; line++) {
+      const lineElement = document.createElement("div");
+      lineElement.className = "click-to-edit-gutter__line";
+      if (highlighted && line >= highlighted.start && line <= highlighted.end) {
+        lineElement.classList.add("click-to-edit-gutter__line--active");
       }
+      lineElement.dataset.line = line;
+      lineElement.textContent = line + 1;
+      lineElement.style.top = `${lineTops[line] - scrollTop}px`;
+      lineElement.style.height = `${lineTops[line + 1] - lineTops[line]}px`;
+      lineElements.push(lineElement);
     }
+    this.gutter.replaceChildren(...lineElements);
+  }
 
-    return matches / Math.max(words1.length, words2.length);
+  // Clicking a number highlights what that line renders to
+  _handleGutterMouseDown(event) {
+    const lineElement = event.target.closest(".click-to-edit-gutter__line");
+    if (!lineElement) {
+      return;
+    }
+
+    // Keep the focus and caret in the textarea
+    event.preventDefault();
+
+    const previewElement = this.findElementByLineNumber(parseInt(lineElement.dataset.line, 10));
+    if (previewElement) {
+      this.highlightPreviewElements(previewElement);
+      this._suppressScrollSync();
+      this.scrollPreviewToElement(previewElement);
+    }
   }
 
-  getLineText(lineNumber) {
-    if (!this.textArea) return '';
-    const lines = this.textArea.value.split("\n");
-    return lines[lineNumber] || '';
+  // Source lines of the highlighted preview elements, for the gutter
+  _getHighlightedLines(elements) {
+    let start = Infinity;
+    let end = -Infinity;
+    for (const element of elements) {
+      const range = this.getLineRange(element);
+      const line = range ? range.start : this.getLineNumber(element);
+      if (line === null || isNaN(line)) continue;
+      start = Math.min(start, line);
+      end = Math.max(end, range ? range.end : line);
+    }
+
+    return start <= end ? { start, end } : null;
   }
 
   // =============================================
-  // LINE NUMBER BASED MATCHING (for Markdown)
+  // PREVIEW SCROLL SYNC (scrolling the preview scrolls the textarea)
   // =============================================
 
-  findElementByLineNumber(line) {
-    if (line === null || !this.previewWrapper) {
-      return null;
+  _handlePreviewScroll() {
+    if (this._previewScrollSyncFrame || Date.now() < this._previewScrollSyncSuppressedUntil) {
+      return;
     }
 
-    const previewElements = this.previewWrapper.querySelectorAll(`[data-ln="${line}"]`);
-    if (previewElements.length > 0) {
-      return previewElements[previewElements.length - 1];
+    this._previewScrollSyncFrame = requestAnimationFrame(() => {
+      this._previewScrollSyncFrame = null;
+      this._syncEditorToPreviewScroll();
+    });
+  }
+
+  // Scroll the textarea to the source of the topmost visible preview element,
+  // without moving the caret
+  _syncEditorToPreviewScroll() {
+    if (this._destroyed || !this.textArea || !this.previewWrapper) {
+      return;
     }
 
-    if (line === 0) {
-      return null;
+    const wrapper = this.previewWrapper;
+    const ta = this.textArea;
+
+    // The textarea scroll events this causes must not scroll the preview back
+    this._scrollSyncSuppressedUntil = Date.now() + SCROLL_SYNC_SUPPRESS_MS;
+
+    // At the very top or bottom, align the ends exactly
+    if (wrapper.scrollTop <= 0) {
+      ta.scrollTop = 0;
+      return;
+    }
+    if (wrapper.scrollTop + wrapper.clientHeight >= wrapper.scrollHeight - 1) {
+      ta.scrollTop = ta.scrollHeight;
+      return;
     }
 
-    return this.findElementByLineNumber(line - 1);
+    const topElement = this._getTopmostPreviewElement();
+    const source = topElement && this.findSourceForPreviewElement(topElement);
+    if (!source) return;
+
+    // Follow the part of a tall element that is already scrolled out of view
+    let line = source.start;
+    const element = source.element || topElement;
+    const rect = element.getBoundingClientRect();
+    if (rect.height > 0) {
+      const hidden = wrapper.getBoundingClientRect().top - rect.top;
+      line += (source.end + 1 - source.start) * Math.min(1, Math.max(0, hidden / rect.height));
+    }
+
+    const lineTops = this._measureTextAreaLines();
+    const index = Math.min(Math.floor(line), lineTops.length - 2);
+    const lineTop = lineTops[index] + (lineTops[index + 1] - lineTops[index]) * (line - index);
+    ta.scrollTop = Math.max(0, lineTop - lineTops[0]);
   }
 
-  getLineNumber(target) {
-    if (!target || target.nodeName === "HTML") {
-      return null;
+  // The preview element at the top edge of the visible preview, probing a few
+  // points down and across to step over margins between blocks
+  _getTopmostPreviewElement() {
+    const container = this.preview || this.previewWrapper;
+    const wrapperRect = this.previewWrapper.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    const left = Math.max(wrapperRect.left, containerRect.left);
+    const right = Math.min(wrapperRect.right, containerRect.right);
+
+    for (let y = wrapperRect.top + 2; y < Math.min(wrapperRect.bottom, wrapperRect.top + 100); y += 10) {
+      for (const x of [left + 10, left + (right - left) / 2]) {
+        const element = document.elementFromPoint(x, y);
+        if (element && element !== container && container.contains(element)) {
+          return element;
+        }
+      }
     }
 
-    const ln = target.getAttribute?.("data-ln");
-    if (ln !== null) {
-      return parseInt(ln, 10);
+    return null;
+  }
+
+  _debouncedScrollPreview() {
+    if (this._destroyed) {
+      return;
+    }
+
+    this._scrollDebounceTimer = debounce(
+      this,
+      this._syncEditorToPreview,
+      this.settings.scrollDebounceMs
+    );
+  }
+
+  _syncEditorToPreview() {
+    if (this._destroyed || !this.textArea || !this.previewWrapper) {
+      return;
+    }
+
+    // Prevent collapse during redraw
+    if (this.preview && this.preview.scrollHeight > 0) {
+      this.preview.style.minHeight = `${this.preview.scrollHeight}px`;
+    }
+
+    const lineNumber = this._getLineIndex().lineAt(this.textArea.selectionStart);
+    const currentLineText = this.getLineText(lineNumber);
+
+    // A selection over several lines highlights every element it covers
+    const selectionEndLine = this._getSelectionEndLine();
+    if (selectionEndLine > lineNumber) {
+      const coveredElements = this.findElementsCoveringLines(lineNumber, selectionEndLine);
+      if (coveredElements.length > 0) {
+        this._highlightDebounceTimer = debounce(
+          this,
+          () => this.highlightPreviewElements(coveredElements),
+          this.settings.highlightDebounceMs
+        );
+
+        this._suppressScrollSync();
+        this.scrollPreviewToElements(coveredElements);
+        return;
+      }
+    }
+
+    // In a table, the cell under the caret
+    const column = this.textArea.selectionStart - this._getLineIndex().offsetOf(lineNumber);
+    const previewElement = this._findTableCellForColumn(
+      this.findElementForLine(currentLineText, lineNumber),
+      currentLineText,
+      column
+    );
+    if (previewElement) {
+      this._highlightDebounceTimer = debounce(
+        this,
+        () => this.highlightPreviewElements(previewElement),
+        this.settings.highlightDebounceMs
+      );
+
+      // Scroll preview to show the element
+      this._suppressScrollSync();
+      this.scrollPreviewToElement(previewElement);
+    }
+  }
+
+  // The preview element rendered from source line `lineNumber`
+  findElementForLine(lineText, lineNumber) {
+    return this._getSourceMap().lookup("elements", `${lineNumber}:${lineText}`, this._getLineIndex().text, () =>
+      this._findElementForLine(lineText, lineNumber)
+    );
+  }
+
+  _findElementForLine(lineText, lineNumber) {
+    // Registered third-party matchers know their own syntax best
+    let previewElement = this._findElementWithRegisteredMatchers(lineText, lineNumber);
+
+    // Footnote definitions
+    if (!previewElement) {
+      previewElement = this._findFootnoteEntryForLine(lineNumber);
+    }
+
+    // Items of BBCode lists
+    if (!previewElement) {
+      previewElement = this._findBBCodeListItemForLine(lineNumber);
+    }
+
+    // Try finding the element whose line range contains the line (Markdown and BBCode with data-ln)
+    if (!previewElement) {
+      previewElement = this.findElementContainingLine(lineNumber);
+    }
+
+    // Special handling for details syntax the markdown engine didn't map
+    if (!previewElement) {
+      previewElement = this._findPreviewElementForDetailsSyntax(lineText, lineNumber);
+    }
+
+    // Fall back to the closest element on a line before this one
+    if (!previewElement) {
+      previewElement = this.findElementByLineNumber(lineNumber);
+    }
+
+    // If not found, try content-based matching
+    if (!previewElement && lineText) {
+      previewElement = this.findElementByContent(lineText, lineNumber);
+    }
+
+    // Special handling for specific element types
+    if (!previewElement) {
+      previewElement = this.findElementBySpecialSyntax(lineText, lineNumber);
+    }
+
+    return previewElement;
+  }
+
+  _findPreviewElementForDetailsSyntax(lineText, lineNumber) {
+    if (!this.previewWrapper || !/\[\/?details/i.test(lineText)) return null;
+
+    // Innermost block whose [details] or [/details] tag is on this line
+    const pairs = this._pairDetailsBlocks();
+    let match = null;
+    for (const pair of pairs) {
+      if (pair.block.start === lineNumber || pair.block.end === lineNumber) {
+        match = pair;
+      }
+    }
+
+    return match?.element || null;
+  }
+
+  scrollPreviewToElement(element) {
+    if (!element) return;
+
+    this.scrollPreviewToElements([element]);
+  }
+
+  // Scroll the span from the first to the last element into view. A span taller
+  // than the preview is aligned to its start so the beginning stays visible.
+  scrollPreviewToElements(elements) {
+    if (!elements.length || !this.previewWrapper) return;
+
+    // Calculate offsets relative to previewWrapper since that's the scrollable element
+    let offset = Infinity;
+    let bottom = -Infinity;
+    for (const element of elements) {
+      const top = this.getOffsetTopUntil(element, this.previewWrapper);
+      offset = Math.min(offset, top);
+      bottom = Math.max(bottom, top + element.offsetHeight);
+    }
+    const height = bottom - offset;
+    const viewHeight = this.previewWrapper.clientHeight;
+    let targetScroll;
+
+    switch (height > viewHeight ? "start" : this.settings.scrollAlignment) {
+      case "start":
+        targetScroll = offset;
+        break;
+      case "end":
+        targetScroll = offset + height - viewHeight;
+        break;
+      case "nearest": {
+        // Only scroll when the span is (partly) out of view
+        const scrollTop = this.previewWrapper.scrollTop;
+        if (offset < scrollTop) {
+          targetScroll = offset;
+        } else if (offset + height > scrollTop + viewHeight) {
+          targetScroll = offset + height - viewHeight;
+        } else {
+          return;
+        }
+        break;
+      }
+      default:
+        targetScroll = offset - parseInt((viewHeight - height) / 2, 10);
+    }
+
+    this.previewWrapper.scrollTo({
+      top: Math.max(0, targetScroll),
+      behavior: this.settings.smoothScroll ? 'smooth' : 'auto'
+    });
+  }
+
+  // =============================================
+  // CONTENT-BASED MATCHING (for all syntax types)
+  // =============================================
+
+  findLineByContent(element) {
+    if (!element || !this.textArea) return null;
+
+    const elementText = element.textContent?.trim();
+    if (!elementText || elementText.length < 1) return null;
+
+    const normalizedTarget = this.normalizeText(elementText);
+    if (!normalizedTarget) return null;
+
+    const lineIndex = this._getLineIndex();
+    const normalizedLines = lineIndex.lines.map((_, i) => this._getNormalizedLine(lineIndex, i));
+
+    // Repeated text ("TODO", "Example") maps the Nth copy in the preview to the Nth
+    // in the source, copies being counted by the rule of the pass on both sides. The
+    // looser rules also hold for the containers around a copy, so those copies are
+    // the innermost matching elements.
+    const passes = [
+      // First pass: exact match
+      { innermost: false, matches: (normalizedText) => normalizedText === normalizedTarget },
+      // Second pass: contains match
+      {
+        innermost: true,
+        matches: (normalizedText) => normalizedText.includes(normalizedTarget) ||
+                                     normalizedTarget.includes(normalizedText)
+      },
+      // Third pass: fuzzy match
+      { innermost: true, matches: (normalizedText) => this.fuzzyMatch(normalizedText, normalizedTarget) },
+    ];
+
+    for (const { innermost, matches } of passes) {
+      const matchingLines = [];
+      normalizedLines.forEach((normalizedLine, i) => {
+        if (normalizedLine && matches(normalizedLine)) {
+          matchingLines.push(i);
+        }
+      });
+
+      if (matchingLines.length > 0) {
+        const occurrence = this._getPreviewOccurrenceIndex(element, matches, innermost);
+        return matchingLines[Math.min(occurrence, matchingLines.length - 1)];
+      }
+    }
+
+    return null;
+  }
+
+  findElementByContent(lineText, lineNumber) {
+    if (!lineText || !this.previewWrapper) return null;
+
+    const strippedText = this.stripAllSyntax(lineText);
+    const normalizedLine = this.normalizeText(strippedText);
+
+    if (!normalizedLine || normalizedLine.length < 1) return null;
+
+    // Determine what type of element to look for based on line content
+    const elementTypes = this.getExpectedElementTypes(lineText, lineNumber);
+
+    // Get candidate elements
+    const selector = elementTypes.join(', ');
+    const sourceMap = this._getSourceMap();
+    const candidates = sourceMap.elements(selector);
+
+    let bestMatches = [];
+    let bestScore = 0;
+
+    for (const candidate of candidates) {
+      // Skip if element already has a matching data-ln
+      const dataLn = candidate.getAttribute('data-ln');
+      if (dataLn !== null && parseInt(dataLn, 10) !== lineNumber) continue;
+
+      const candidateText = sourceMap.normalizedText(candidate, (text) => this.normalizeText(text));
+      if (!candidateText) continue;
+
+      const score = this.getMatchScore(normalizedLine, candidateText);
+      if (score > bestScore && score > 0.3) {
+        bestScore = score;
+        bestMatches = [candidate];
+      } else if (score === bestScore && score > 0.3) {
+        bestMatches.push(candidate);
+      }
+    }
+
+    if (bestMatches.length === 0) return null;
+
+    // Equally good matches are copies of the same text; pick the one matching
+    // this line's position among the source lines with the same text
+    const copies = this._outermostElements(bestMatches);
+    const occurrence = this._getSourceOccurrenceIndex(lineNumber, normalizedLine);
+    return copies[Math.min(occurrence, copies.length - 1)];
+  }
+
+  // Index of `element` among the preview elements whose normalized text `matches`,
+  // in document order. Nested matches count once: as the outermost element, or as
+  // the innermost one when the rule also holds for the elements around a copy.
+  _getPreviewOccurrenceIndex(element, matches, innermost = false) {
+    if (!this.previewWrapper) return 0;
+
+    const sourceMap = this._getSourceMap();
+    const sameText = sourceMap.elements("*").filter((candidate) => {
+      const candidateText = sourceMap.normalizedText(candidate, (text) => this.normalizeText(text));
+      return !!candidateText && matches(candidateText);
+    });
+    // In document order, an element's descendants come right after it
+    const copies = innermost ?
+                   sameText.filter((candidate, i) => !sameText[i + 1] || !candidate.contains(sameText[i + 1])) :
+                   this._outermostElements(sameText);
+    const index = copies.findIndex(
+      (copy) => copy === element || copy.contains(element) || element.contains(copy)
+    );
+
+    return Math.max(0, index);
+  }
+
+  // Index of source line `lineNumber` among the lines with the same stripped text
+  _getSourceOccurrenceIndex(lineNumber, normalizedLine) {
+    const lineIndex = this._getLineIndex();
+    let occurrence = 0;
+
+    for (let i = 0; i < lineNumber && i < lineIndex.lineCount; i++) {
+      if (this._getNormalizedLine(lineIndex, i) === normalizedLine) {
+        occurrence++;
+      }
+    }
+
+    return occurrence;
+  }
+
+  // Drop elements nested in another element of the list (e.g. <p> inside a matching <li>).
+  // The list is in document order, so the descendants of an element come right
+  // after it: one pass comparing each element with the last one kept does.
+  _outermostElements(elements) {
+    const outermost = [];
+    for (const element of elements) {
+      const last = outermost[outermost.length - 1];
+      if (!last || !last.contains(element)) {
+        outermost.push(element);
+      }
+    }
+    return outermost;
+  }
+
+  findElementBySpecialSyntax(lineText, lineNumber) {
+    if (!lineText || !this.previewWrapper) return null;
+
+    // Check for specific patterns and find corresponding elements
+
+    // Tables
+    if (lineText.includes('|') && PATTERNS.mdTableRow.test(lineText)) {
+      const tables = this._getSourceMap().elements('table');
+      if (tables.length > 0) {
+        // Find the row that matches
+        const cells = lineText.split('|').filter(c => c.trim()).map(c => this.normalizeText(c.trim()));
+        for (const table of tables) {
+          const rows = table.querySelectorAll('tr');
+          for (const row of rows) {
+            const rowCells = Array.from(row.querySelectorAll('td, th')).map(c => this.normalizeText(c.textContent));
+            if (cells.some(c => rowCells.some(rc => rc.includes(c) || c.includes(rc)))) {
+              return row;
+            }
+          }
+        }
+        // No row matches: the first table would be a wrong guess
+        return null;
+      }
+    }
+
+    // Details - paired with their own source block
+    const detailsElement = this._findPreviewElementForDetailsSyntax(lineText, lineNumber);
+    if (detailsElement) {
+      return detailsElement;
+    }
+
+    // Images, videos, polls, dates, spoilers, code blocks and quotes - by ordinal position
+    for (const type of SPECIAL_ELEMENTS) {
+      if (type.test.test(lineText)) {
+        const element = this._findSpecialElementForLine(type, lineNumber);
+        if (element) return element;
+      }
+    }
+
+    // Headings
+    const headingMatch = lineText.match(/^(#{1,6})\s/);
+    if (headingMatch) {
+      const level = headingMatch[1].length;
+      const headings = this._getSourceMap().elements(`h${level}`);
+      if (headings.length > 0) {
+        // Same number of headings on both sides: map by ordinal position
+        const headingPattern = new RegExp(`^#{${level}}\\s`);
+        const headingLines = this._getLineIndex().unfencedLines
+          .map((line, i) => (headingPattern.test(line) ? i : -1))
+          .filter((i) => i >= 0);
+        if (headingLines.length === headings.length) {
+          return headings[headingLines.indexOf(lineNumber)] || headings[0];
+        }
+
+        const headingText = this.normalizeText(lineText.replace(/^#+\s*/, ''));
+        for (const h of headings) {
+          if (this.normalizeText(h.textContent).includes(headingText)) {
+            return h;
+          }
+        }
+        return headings[0];
+      }
+    }
+
+    // Emojis
+    if (PATTERNS.discourseEmoji.test(lineText)) {
+      const emojis = this._getSourceMap().elements('img.emoji, .emoji');
+      if (emojis.length > 0) return emojis[0].closest('p') || emojis[0];
+    }
+
+    return null;
+  }
+
+  getExpectedElementTypes(lineText, lineNumber) {
+    const types = new Set(['p', 'li', 'span', 'div']);
+
+    // Headings
+    if (/^#{1,6}\s/.test(lineText)) {
+      const level = (lineText.match(/^(#+)/) || ['', '#'])[1].length;
+      types.add(`h${level}`);
+    }
+
+    // Lists
+    if (/^[\*\-\+]\s/.test(lineText) || /^\d+\.\s/.test(lineText) || /\[li\]/i.test(lineText)) {
+      types.add('li');
+      types.add('ul');
+      types.add('ol');
+    }
+
+    // Tables
+    if (lineText.includes('|')) {
+      types.add('table');
+      types.add('tr');
+      types.add('td');
+      types.add('th');
+    }
+
+    // Blockquotes
+    if (lineText.startsWith('>') || /\[quote/i.test(lineText)) {
+      types.add('blockquote');
+      types.add('.quote');
+    }
+
+    // Code
+    if (lineText.includes('`') || /\[code\]/i.test(lineText)) {
+      types.add('code');
+      types.add('pre');
+    }
+
+    // Links
+    if (/\[.*\]\(.*\)/.test(lineText) || /\[url/i.test(lineText)) {
+      types.add('a');
+    }
+
+    // Images
+    if (/!\[.*\]/.test(lineText) || /\[img\]/i.test(lineText)) {
+      types.add('img');
+      types.add('.lightbox-wrapper');
+    }
+
+    // Videos
+    if (/<video/i.test(lineText) || /\[video\]/i.test(lineText) || /\.(mp4|webm|ogg)/i.test(lineText)) {
+      types.add('video');
+      types.add('.video-container');
+      types.add('.onebox');
+    }
+
+    // Bold/italic/formatting
+    if (/\*\*.*\*\*/.test(lineText) || /\[b\]/i.test(lineText)) {
+      types.add('strong');
+      types.add('b');
+    }
+    if (/\*[^*]+\*/.test(lineText) || /\[i\]/i.test(lineText)) {
+      types.add('em');
+      types.add('i');
+    }
+
+    // Special elements
+    if (/\[details/i.test(lineText)) {
+      types.add('details');
+      types.add('summary');
+    }
+    if (/\[spoiler/i.test(lineText)) types.add('.spoiler');
+    if (/\[poll/i.test(lineText)) types.add('.poll');
+    if (/\[date/i.test(lineText)) types.add('.discourse-local-date');
+
+    // Registered third-party syntax
+    const lines = this._getLineIndex().lines;
+    for (const matcher of this._getRegisteredMatchers()) {
+      if (this._callMatcher(matcher, () => matcher.detectLine(lineText, lineNumber, lines))) {
+        types.add(matcher.selector);
+      }
+    }
+
+    return Array.from(types);
+  }
+
+  // =============================================
+  // TEXT PROCESSING
+  // =============================================
+
+  stripAllSyntax(text) {
+    if (!text) return '';
+
+    let result = text;
+
+    // Strip BBCode tags
+    result = result.replace(PATTERNS.bbcode, '');
+
+    // Strip Markdown formatting
+    result = result.replace(PATTERNS.mdBold, '$1');
+    result = result.replace(PATTERNS.mdItalic, '$1');
+    result = result.replace(PATTERNS.mdStrike, '$1');
+    result = result.replace(PATTERNS.mdCode, '$1');
+    result = result.replace(PATTERNS.mdLink, '$1');
+    result = result.replace(PATTERNS.mdImage, '$1');
+    result = result.replace(PATTERNS.mdHeading, '');
+    result = result.replace(PATTERNS.mdQuote, '');
+    result = result.replace(PATTERNS.mdUnorderedList, '');
+    result = result.replace(PATTERNS.mdOrderedList, '');
+    result = result.replace(PATTERNS.mdFootnote, '$1');
+
+    // Strip HTML tags
+    result = result.replace(PATTERNS.htmlTag, '');
+
+    // Strip Discourse special syntax
+    result = result.replace(PATTERNS.discourseUpload, '');
+    result = result.replace(PATTERNS.discourseDate, '');
+
+    // Strip registered third-party syntax
+    for (const matcher of this._getRegisteredMatchers()) {
+      if (matcher.stripSyntax) {
+        result = this._callMatcher(matcher, () => matcher.stripSyntax(result)) ?? result;
+      }
+    }
+
+    // Clean up table syntax
+    result = result.replace(/^\||\|$/g, '');
+    result = result.replace(/\|/g, ' ');
+
+    return result.trim();
+  }
+
+  normalizeText(text) {
+    if (!text) return '';
+    return text
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF]/g, '') // Keep unicode letters
+      .trim();
+  }
+
+  fuzzyMatch(str1, str2) {
+    if (!str1 || !str2) return false;
+    const shorter = str1.length < str2.length ? str1 : str2;
+    const longer = str1.length < str2.length ? str2 : str1;
+
+    if (shorter.length < 3) return shorter === longer;
+
+    // Check word overlap
+    const words1 = shorter.split(' ').filter(w => w.length > 2);
+    const words2 = longer.split(' ').filter(w => w.length > 2);
+
+    if (words1.length === 0) return false;
+
+    let matches = 0;
+    for (const word of words1) {
+      if (words2.some(w => w.includes(word) || word.includes(w))) {
+        matches++;
+      }
+    }
+
+    return matches / words1.length >= 0.5;
+  }
+
+  getMatchScore(str1, str2) {
+    if (!str1 || !str2) return 0;
+
+    // Exact match
+    if (str1 === str2) return 1;
+
+    // Contains match
+    if (str1.includes(str2) || str2.includes(str1)) {
+      const shorter = Math.min(str1.length, str2.length);
+      const longer = Math.max(str1.length, str2.length);
+      return shorter / longer;
+    }
+
+    // Word-based matching
+    const words1 = str1.split(' ').filter(w => w.length > 2);
+    const words2 = str2.split(' ').filter(w => w.length > 2);
+
+    if (words1.length === 0 || words2.length === 0) return 0;
+
+    let matches = 0;
+    for (const word of words1) {
+      if (words2.some(w => w.includes(word) || word.includes(w))) {
+        matches++;
+      }
+    }
+
+    return matches / Math.max(words1.length, words2.length);
+  }
+
+  getLineText(lineNumber) {
+    if (!this.textArea) return '';
+    return this._getLineIndex().lines[lineNumber] || '';
+  }
+
+  // =============================================
+  // LINE NUMBER BASED MATCHING (for Markdown)
+  // =============================================
+
+  findElementByLineNumber(line) {
+    if (line === null || !this.previewWrapper) {
+      return null;
+    }
+
+    return this._getSourceMap().elementAtOrBefore(line);
+  }
+
+  // Last line of the textarea selection, not counting a line the selection only
+  // reaches the start of (selecting whole lines ends right after a newline)
+  _getSelectionEndLine() {
+    const ta = this.textArea;
+    let selectionEnd = ta.selectionEnd;
+    if (selectionEnd > ta.selectionStart && ta.value[selectionEnd - 1] === "\n") {
+      selectionEnd--;
+    }
+    return this._getLineIndex().lineAt(selectionEnd);
+  }
+
+  // Preview elements for the lines from `startLine` to `endLine`, in document
+  // order: the outermost elements lying inside the range, plus the tightest
+  // elements around its first and last line when those stick out of it
+  findElementsCoveringLines(startLine, endLine) {
+    if (!this.previewWrapper) {
+      return [];
+    }
+
+    const inside = this._getSourceMap().blocks
+      .filter(({ start, end }) => start >= startLine && end <= endLine)
+      .map(({ element }) => element);
+
+    const elements = this._outermostElements(inside);
+    for (const line of [startLine, endLine]) {
+      const edge = this.findElementContainingLine(line);
+      if (edge && !elements.some((element) => element === edge || element.contains(edge))) {
+        elements.push(edge);
+      }
+    }
+
+    return this._outermostElements(elements.sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+  }
+
+  findElementContainingLine(line) {
+    if (line === null || !this.previewWrapper) {
+      return null;
+    }
+
+    return this._getSourceMap().elementContaining(line);
+  }
+
+  getLineRange(target) {
+    const element = target?.closest?.("[data-ln-end]");
+    if (!element) {
+      return null;
+    }
+
+    const start = parseInt(element.getAttribute("data-ln"), 10);
+    const end = parseInt(element.getAttribute("data-ln-end"), 10);
+    if (isNaN(start) || isNaN(end)) {
+      return null;
+    }
+
+    return { start, end: Math.max(start, end), element };
+  }
+
+  getLineNumber(target) {
+    if (!target || target.nodeName === "HTML") {
+      return null;
+    }
+
+    const ln = target.getAttribute?.("data-ln");
+    if (ln !== null) {
+      return parseInt(ln, 10);
+    }
+
+    return this.getLineNumber(target.parentElement);
+  }
+
+  // =============================================
+  // COLUMN BASED MATCHING (for inline Markdown)
+  // =============================================
+
+  // Source offset in the textarea for the point clicked in the preview, using
+  // the data-ln/data-col of the nearest inline element and the clicked text node.
+  // The search never passes the end of `lastLine`.
+  findSourceOffsetForPoint(event, lastLine) {
+    return this.findSourceOffsetForCaret(this._getCaretPointFromEvent(event), lastLine);
+  }
+
+  // Source offset of a { node, offset } caret position in the preview
+  findSourceOffsetForCaret(point, lastLine) {
+    if (!this.textArea || !this.previewWrapper) return null;
+
+    if (!point || point.node.nodeType !== Node.TEXT_NODE ||
+        !this.previewWrapper.contains(point.node)) {
+      return null;
+    }
+
+    const anchor = point.node.parentElement?.closest("[data-col], [data-ln]");
+    if (!anchor || !this.previewWrapper.contains(anchor)) return null;
+
+    const line = parseInt(anchor.getAttribute("data-ln"), 10);
+    if (isNaN(line)) return null;
+    const column = parseInt(anchor.getAttribute("data-col"), 10) || 0;
+
+    const lineIndex = this._getLineIndex();
+    const value = lineIndex.text;
+    if (line >= lineIndex.lineCount) return null;
+
+    const lineStart = lineIndex.offsetOf(line);
+    let limit = lineIndex.endOffsetOf(Math.max(line, lastLine)) + 1;
+    let start = lineStart + column;
+
+    // Table cells have no column of their own; search their segment of the row
+    const cellRange = !anchor.hasAttribute("data-col") && anchor.matches("td, th") ?
+                      this.getTableCellSourceRange(anchor) : null;
+    if (cellRange) {
+      start = cellRange.start;
+      limit = cellRange.end;
+    }
+
+    // Walk the text before the clicked node to find where it starts in the source
+    let cursor = Math.min(start, limit);
+    const walker = document.createTreeWalker(anchor, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node === point.node) {
+        // Anchor on the first word of the clicked node, then walk to the click point
+        const [firstWord] = node.data.trim().split(/\s+/);
+        const index = firstWord ? value.indexOf(firstWord, cursor) : -1;
+        if (index >= 0 && index + firstWord.length <= limit) {
+          cursor = index;
+        }
+        const prefix = node.data.slice(0, point.offset).split(/\s+/).filter(Boolean);
+        return this._locateWordsInSource(value, prefix, cursor, limit);
+      }
+      cursor = this._locateWordsInSource(value, node.data.split(/\s+/).filter(Boolean), cursor, limit);
+    }
+
+    return null;
+  }
+
+  // Find the words one after another in the source, starting at `from`, and return
+  // the offset just past the last one found. Words altered by rendering (escapes,
+  // entities, smart quotes) are not found and skipped.
+  _locateWordsInSource(value, words, from, limit) {
+    let cursor = from;
+    for (const word of words) {
+      const index = value.indexOf(word, cursor);
+      if (index >= 0 && index + word.length <= limit) {
+        cursor = index + word.length;
+      }
+    }
+    return cursor;
+  }
+
+  _getCaretPointFromEvent(event) {
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(event.clientX, event.clientY);
+      return position ? { node: position.offsetNode, offset: position.offset } : null;
+    }
+    if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(event.clientX, event.clientY);
+      return range ? { node: range.startContainer, offset: range.startOffset } : null;
+    }
+    return null;
+  }
+
+  // =============================================
+  // SCROLL & HIGHLIGHT HELPERS
+  // =============================================
+
+  scrollTextAreaToCorrectPosition(lineIndex, endLineIndex = lineIndex) {
+    if (lineIndex === null || !this.textArea) {
+      return;
+    }
+
+    const ta = this.textArea;
+    const index = this._getLineIndex();
+    const selStart = index.offsetOf(lineIndex);
+    const selEnd = index.endOffsetOf(index.lastContentLine(lineIndex, endLineIndex));
+
+    this._scrollTextAreaToOffset(ta, selStart);
+
+    ta.selectionStart = selStart;
+    ta.selectionEnd = selEnd;
+  }
+
+  moveTextAreaCaretToOffset(offset) {
+    if (offset === null || !this.textArea) {
+      return;
+    }
+
+    const ta = this.textArea;
+    this._scrollTextAreaToOffset(ta, offset);
+    ta.selectionStart = ta.selectionEnd = offset;
+  }
+
+  _scrollTextAreaToOffset(ta, selStart) {
+    // Keep the preview where it was clicked
+    this._suppressScrollSync();
+
+    if (this.isSafari()) {
+      this._scrollSafari(ta, selStart);
+    } else {
+      ta.selectionStart = ta.selectionEnd = selStart;
+      ta.blur();
+      ta.focus();
+    }
+  }
+
+  _scrollSafari(ta, selStart) {
+    if (!this.clonedTextArea) {
+      this.clonedTextArea = ta.cloneNode();
+      this.clonedTextArea.style.cssText =
+        "visibility:hidden;position:absolute;left:-9999px;top:-9999px;height:1px;overflow:hidden";
+      document.body.appendChild(this.clonedTextArea);
+    }
+
+    const computedStyle = getComputedStyle(ta);
+    this.clonedTextArea.style.width = computedStyle.width;
+    this.clonedTextArea.style.fontSize = computedStyle.fontSize;
+    this.clonedTextArea.style.lineHeight = computedStyle.lineHeight;
+    this.clonedTextArea.style.fontFamily = computedStyle.fontFamily;
+    this.clonedTextArea.value = ta.value.substring(0, selStart);
+
+    const scrollTop = this.clonedTextArea.scrollHeight;
+    const lineHeight = parseInt(computedStyle.lineHeight, 10);
+    const textAreaHeight = ta.clientHeight;
+    let verticalCenter = Math.max(0, scrollTop - textAreaHeight / 2 + lineHeight / 2);
+
+    if (scrollTop < textAreaHeight / 2) {
+      verticalCenter = 0;
+    }
+
+    ta.scrollTop = verticalCenter;
+  }
+
+  // Highlight one preview element, or all of a list of them, under `name`
+  // ("active" is the element being edited). This replaces what `name` highlighted
+  // before and leaves other names alone, so several highlights can be shown at once.
+  highlightPreviewElements(previewElements, name = "active") {
+    const elements = [].concat(previewElements || []).filter(Boolean);
+    if (this._destroyed || elements.length === 0) {
+      return;
+    }
+
+    // Skip if same elements
+    const current = this._highlights.get(name) || [];
+    if (elements.length === current.length &&
+        elements.every((element, index) => element === current[index].element)) {
+      return;
+    }
+
+    this._removeHighlight(name);
+    // Remember where each element came from, to find it again after a re-render
+    this._highlights.set(name, elements.map((element) => {
+      const entry = {
+        element,
+        tagName: element.tagName,
+        start: ownNumberAttribute(element, "data-ln"),
+        end: ownNumberAttribute(element, "data-ln-end"),
+        column: ownNumberAttribute(element, "data-col"),
+        line: this.getLineNumber(element),
+        path: this.getUniqueCSSSelector(element),
+        range: null
+      };
+      // Among elements with the same source position (the cells of a table row)
+      entry.ordinal = Math.max(0, this._findElementsWithSameSource(entry).indexOf(element));
+      return entry;
+    }));
+    this._applyHighlight(name);
+
+    if (name !== "active") {
+      return;
+    }
+
+    this._announceHighlight(elements);
+
+    if (this.gutter) {
+      this._highlightedLines = this._getHighlightedLines(elements);
+      this._scheduleGutterRender();
+    }
+  }
+
+  clearHighlight(name = "active") {
+    this._removeHighlight(name);
+    this._highlights.delete(name);
+  }
+
+  // Mark the highlighted elements. Inline elements get a range in the CSS Custom
+  // Highlight API where it exists, which follows the text across line wraps
+  // instead of outlining the element's bounding box.
+  _applyHighlight(name) {
+    for (const entry of this._highlights.get(name) || []) {
+      const element = entry.element;
+      if (entry.range) continue;
+
+      if (this._useRangeHighlight(element)) {
+        const highlightName = `click-to-edit-${name}`;
+        if (!CSS.highlights.has(highlightName)) {
+          CSS.highlights.set(highlightName, new Highlight());
+        }
+        entry.range = document.createRange();
+        entry.range.selectNodeContents(element);
+        CSS.highlights.get(highlightName).add(entry.range);
+        continue;
+      }
+
+      const names = (element.getAttribute(HIGHLIGHT_ATTRIBUTE) || "").split(" ").filter(Boolean);
+      if (!names.includes(name)) {
+        element.setAttribute(HIGHLIGHT_ATTRIBUTE, [...names, name].join(" "));
+      }
+    }
+  }
+
+  _removeHighlight(name) {
+    for (const entry of this._highlights.get(name) || []) {
+      if (entry.range) {
+        CSS.highlights.get(`click-to-edit-${name}`)?.delete(entry.range);
+        entry.range = null;
+        continue;
+      }
+
+      const names = (entry.element.getAttribute(HIGHLIGHT_ATTRIBUTE) || "").split(" ").filter(
+        (other) => other && other !== name
+      );
+      if (names.length > 0) {
+        entry.element.setAttribute(HIGHLIGHT_ATTRIBUTE, names.join(" "));
+      } else {
+        entry.element.removeAttribute(HIGHLIGHT_ATTRIBUTE);
+      }
+    }
+  }
+
+  _useRangeHighlight(element) {
+    return typeof CSS !== "undefined" && !!CSS.highlights && typeof Highlight !== "undefined" &&
+           getComputedStyle(element).display === "inline";
+  }
+
+  // Re-renders of the preview replace its elements (or change their attributes
+  // when they're morphed): drop the source map, find the highlighted elements
+  // again, and re-apply the highlights and the roving tabindex
+  _observePreview() {
+    this._previewObserver?.disconnect();
+    this._previewObserver = null;
+    if (!this.preview) {
+      return;
+    }
+
+    this._sourceMap = null;
+    this._previewObserver = new MutationObserver((records) => {
+      // A render, not just our own highlight attribute; a morphing render may
+      // only shift the line attributes
+      if (records.some((record) => record.attributeName !== HIGHLIGHT_ATTRIBUTE)) {
+        this._sourceMap = null;
+      }
+      this._restoreHighlights();
+      if (this._rovingTabIndex) {
+        this._rovingTabIndexTimer = debounce(this, this._updateRovingTabIndex, 100);
+      }
+    });
+    this._previewObserver.observe(this.preview, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributeFilter: [HIGHLIGHT_ATTRIBUTE, "data-ln", "data-ln-end", "data-col"]
+    });
+
+    if (this._rovingTabIndex) {
+      this._updateRovingTabIndex();
+    }
+  }
+
+  _restoreHighlights() {
+    if (this._destroyed || !this.previewWrapper) {
+      return;
+    }
+
+    for (const [name, entries] of this._highlights) {
+      for (const entry of entries) {
+        const element = this._findHighlightedElementAgain(entry);
+        if (element && element !== entry.element) {
+          if (entry.range) {
+            CSS.highlights.get(`click-to-edit-${name}`)?.delete(entry.range);
+            entry.range = null;
+          }
+          entry.element = element;
+        }
+      }
+      // Only sets what is missing, so the observer settles after one round
+      this._applyHighlight(name);
+    }
+  }
+
+  // Preview elements with the tag and the data-ln / data-ln-end / data-col of a
+  // highlight entry, in document order
+  _findElementsWithSameSource(entry) {
+    if (!Number.isInteger(entry.start)) {
+      return [];
+    }
+
+    return this._getSourceMap().elements(`${entry.tagName}[data-ln="${entry.start}"]`).filter(
+      (element) => ownNumberAttribute(element, "data-ln-end") === entry.end &&
+                   ownNumberAttribute(element, "data-col") === entry.column
+    );
+  }
+
+  // The element now rendered for a highlight entry: the same element while it is
+  // still in the preview, else one with the same tag and source position, else
+  // the one at the same place in the document, else the block around its line
+  _findHighlightedElementAgain(entry) {
+    if (this.preview?.contains(entry.element)) {
+      return entry.element;
+    }
+
+    const sameSource = this._findElementsWithSameSource(entry);
+    if (sameSource.length > 0) {
+      return sameSource[Math.min(entry.ordinal, sameSource.length - 1)];
+    }
+
+    const element = document.querySelector(entry.path);
+    if (element && this.preview?.contains(element)) {
+      return element;
+    }
+
+    return Number.isInteger(entry.line) ? this.findElementContainingLine(entry.line) : null;
+  }
+
+  // "Editing line 42, heading", for the source currently selected in the textarea
+  _announceHighlight(elements) {
+    if (!this.liveRegion || !this.textArea) {
+      return;
+    }
+
+    const ta = this.textArea;
+    const start = this._getLineIndex().lineAt(ta.selectionStart) + 1;
+    const end = this._getSelectionEndLine() + 1;
+    const type = elements.length > 1 ?
+                 i18n("click_to_edit.announce.blocks", { count: elements.length }) :
+                 this._getElementTypeName(elements[0]);
+
+    const message = end > start ?
+                    i18n("click_to_edit.announce.lines", { start, end, type }) :
+                    i18n("click_to_edit.announce.line", { line: start, type });
+
+    // Clear first so the same message is announced again
+    this.liveRegion.textContent = "";
+    requestAnimationFrame(() => {
+      if (this.liveRegion) {
+        this.liveRegion.textContent = message;
+      }
+    });
+  }
+
+  _getElementTypeName(element) {
+    const match = ELEMENT_TYPES.find(([selector]) => element.closest(selector));
+    return i18n(`click_to_edit.element_types.${match ? match[1] : "block"}`);
+  }
+
+  getOffsetTopUntil(elem, parent) {
+    if (!elem || !parent) {
+      return 0;
+    }
+
+    const offsetParent = elem.offsetParent;
+    const offsetTop = elem.offsetTop;
+
+    if (offsetParent === parent) {
+      return offsetTop;
+    }
+
+    return offsetTop + this.getOffsetTopUntil(offsetParent, parent);
+  }
+
+  getUniqueCSSSelector(el) {
+    const stack = [];
+    while (el && el.parentNode && el.nodeName.toLowerCase() !== "html") {
+      let sibCount = 0;
+      let sibIndex = 0;
+      const siblings = el.parentNode.childNodes;
+
+      for (let i = 0; i < siblings.length; i++) {
+        const sib = siblings[i];
+        if (sib.nodeType === Node.ELEMENT_NODE && sib.nodeName === el.nodeName) {
+          if (sib === el) {
+            sibIndex = sibCount;
+          }
+          sibCount++;
+        }
+      }
+
+      if (el.id) {
+        stack.unshift(el.nodeName.toLowerCase() + "#" + el.id);
+      } else if (sibCount > 1) {
+        stack.unshift(el.nodeName.toLowerCase() + ":nth-of-type(" + (sibIndex + 1) + ")");
+      } else {
+        stack.unshift(el.nodeName.toLowerCase());
+      }
+
+      el = el.parentNode;
+    }
+
+    return stack.join(" > ");
+  }
+
+  isSafari() {
+    const ua = navigator.userAgent;
+    return ua.indexOf("Safari") > -1 && ua.indexOf("Chrome") === -1;
+  }
+
+  // =============================================
+  // KEYBOARD NAVIGATION (shortcuts registered in the initializer)
+  // =============================================
+
+  // Move to the next (direction 1) or previous (-1) mapped block matching
+  // `selector`: the caret in the textarea, or the focus when it is in the preview.
+  // Returns whether there was a block to move to.
+  moveToBlock(direction, selector = "[data-ln-end]", wrap = false) {
+    if (!this.textArea || !this.previewWrapper) {
+      return false;
+    }
+
+    const targets = this._getBlockTargets(selector);
+    const line = this._getCurrentLine();
+    let target = direction > 0 ?
+                 targets.find((candidate) => candidate.line > line) :
+                 targets.findLast((candidate) => candidate.line < line);
+    if (!target && wrap) {
+      target = direction > 0 ? targets[0] : targets[targets.length - 1];
+    }
+    if (!target) {
+      return false;
+    }
+
+    if (this._isPreviewFocused()) {
+      this._focusPreviewElement(target.element);
+    } else {
+      this.moveTextAreaCaretToOffset(this._getLineOffset(target.line));
+      this._syncEditorToPreview();
+    }
+    return true;
+  }
+
+  // Jump between the textarea and the preview, keeping the place in the post
+  togglePreviewFocus() {
+    if (!this.textArea || !this.previewWrapper) {
+      return false;
+    }
+
+    if (this._isPreviewFocused()) {
+      const source = this.findSourceForPreviewElement(document.activeElement);
+      this.textArea.focus();
+      if (source) {
+        this.moveTextAreaCaretToOffset(this._getLineOffset(source.start));
+      }
+      return true;
+    }
+
+    const lineNumber = this._getCurrentLine();
+    const element = this.findElementForLine(this.getLineText(lineNumber), lineNumber);
+    if (!element) {
+      return false;
+    }
+
+    this._focusPreviewElement(element);
+    return true;
+  }
+
+  // Jump from the footnote reference under the caret to its definition, and from
+  // a definition to the first reference to it. Returns whether there was one.
+  toggleFootnote() {
+    if (!this.textArea || this._isPreviewFocused()) {
+      return false;
+    }
+
+    const lineIndex = this._getLineIndex();
+    const line = lineIndex.lineAt(this.textArea.selectionStart);
+    const column = this.textArea.selectionStart - lineIndex.offsetOf(line);
+    const footnotes = this._getFootnotes();
+
+    const reference = footnotes.references.find((candidate) =>
+      candidate.line === line && column >= candidate.start && column <= candidate.end
+    );
+    if (reference) {
+      const definition = this._selectFootnoteDefinition(reference);
+      if (definition?.element) {
+        this.highlightPreviewElements(definition.element);
+        this.scrollPreviewToElement(definition.element);
+      }
+      return !!definition;
+    }
+
+    const entry = footnotes.entries.findIndex(({ start, end, inline }) => !inline && line >= start && line <= end);
+    const index = footnotes.references.findIndex((candidate) => candidate.entry === entry);
+    if (entry < 0 || index < 0) {
+      return false;
+    }
+
+    const target = footnotes.references[index];
+    this.moveTextAreaCaretToOffset(lineIndex.offsetOf(target.line) + target.start);
+    this.textArea.selectionEnd = lineIndex.offsetOf(target.line) + target.end;
+
+    const { references } = this._getFootnoteElements();
+    if (references.length === footnotes.references.length) {
+      this.highlightPreviewElements(references[index]);
+      this.scrollPreviewToElement(references[index]);
+    }
+    return true;
+  }
+
+  _isPreviewFocused() {
+    const focused = document.activeElement;
+    return !!focused && focused !== this.previewWrapper && this.previewWrapper.contains(focused) &&
+           !this.quickEditPopover?.contains(focused);
+  }
+
+  // Source line of the focused preview element, or of the caret
+  _getCurrentLine() {
+    if (this._isPreviewFocused()) {
+      const source = this.findSourceForPreviewElement(document.activeElement);
+      if (source) {
+        return source.start;
+      }
+    }
+
+    return this._getLineIndex().lineAt(this.textArea.selectionStart);
+  }
+
+  // Visible preview elements matching `selector`, one per source line, in line order
+  _getBlockTargets(selector) {
+    const targets = new Map();
+    for (const element of this._getSourceMap().elements(selector)) {
+      const line = parseInt(element.getAttribute("data-ln"), 10);
+      // Skip content of collapsed details blocks
+      if (isNaN(line) || targets.has(line) || element.getClientRects().length === 0) continue;
+      targets.set(line, element);
     }
 
-    return this.getLineNumber(target.parentElement);
+    return Array.from(targets, ([line, element]) => ({ line, element })).sort((a, b) => a.line - b.line);
+  }
+
+  _focusPreviewElement(element) {
+    this._setRovingElement(element);
+    element.focus({ preventScroll: true });
+
+    this.highlightPreviewElements(element);
+    this._suppressScrollSync();
+    this.scrollPreviewToElement(element);
   }
 
   // =============================================
-  // SCROLL & HIGHLIGHT HELPERS
+  // ROVING TABINDEX (Tab enters the preview at one block, arrows move between blocks)
   // =============================================
 
-  scrollTextAreaToCorrectPosition(lineIndex) {
-    if (lineIndex === null || !this.textArea) {
+  _handlePreviewKeyDown(event) {
+    const block = event.target;
+    if (!block.matches?.("[data-ln-end]") || event.altKey || event.ctrlKey || event.metaKey ||
+        this.quickEditPopover?.contains(block)) {
       return;
     }
 
-    const ta = this.textArea;
-    const newlines = [-1];
-    for (let i = 0; i < ta.value.length; ++i) {
-      if (ta.value[i] === "\n") {
-        newlines.push(i);
+    let handled = false;
+    switch (event.key) {
+      case "ArrowDown":
+        handled = this.moveToBlock(1);
+        break;
+      case "ArrowUp":
+        handled = this.moveToBlock(-1);
+        break;
+      case "Home":
+      case "End": {
+        const targets = this._getBlockTargets("[data-ln-end]");
+        const target = event.key === "Home" ? targets[0] : targets[targets.length - 1];
+        if (target) {
+          this._focusPreviewElement(target.element);
+          handled = true;
+        }
+        break;
       }
+      case "Enter":
+        handled = this._activatePreviewElement(block);
+        break;
     }
 
-    const selStart = newlines[lineIndex] + 1;
-    const selEnd = newlines[lineIndex + 1] || ta.value.length;
+    if (handled) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
 
-    if (this.isSafari()) {
-      this._scrollSafari(ta, selStart);
-    } else {
-      ta.selectionStart = ta.selectionEnd = selStart;
-      ta.blur();
-      ta.focus();
+  // Keyboard equivalent of clicking a block: select its source in the textarea
+  _activatePreviewElement(element) {
+    const source = this.findSourceForPreviewElement(element);
+    if (!source) {
+      return false;
     }
 
-    ta.selectionStart = selStart;
-    ta.selectionEnd = selEnd;
+    this.scrollTextAreaToCorrectPosition(source.start, source.end);
+    this.highlightPreviewElements(source.element || element);
+    return true;
   }
 
-  _scrollSafari(ta, selStart) {
-    if (!this.clonedTextArea) {
-      this.clonedTextArea = ta.cloneNode();
-      this.clonedTextArea.style.cssText =
-        "visibility:hidden;position:absolute;left:-9999px;top:-9999px;height:1px;overflow:hidden";
-      document.body.appendChild(this.clonedTextArea);
+  // Exactly one mapped block is in the tab order. Re-applied after every render
+  // of the preview, on the block of the same source line where possible.
+  _updateRovingTabIndex() {
+    if (this._destroyed || !this.previewWrapper) {
+      return;
     }
 
-    const computedStyle = getComputedStyle(ta);
-    this.clonedTextArea.style.width = computedStyle.width;
-    this.clonedTextArea.style.fontSize = computedStyle.fontSize;
-    this.clonedTextArea.style.lineHeight = computedStyle.lineHeight;
-    this.clonedTextArea.style.fontFamily = computedStyle.fontFamily;
-    this.clonedTextArea.value = ta.value.substring(0, selStart);
+    const targets = this._getBlockTargets("[data-ln-end]");
+    if (targets.length === 0) {
+      return;
+    }
 
-    const scrollTop = this.clonedTextArea.scrollHeight;
-    const lineHeight = parseInt(computedStyle.lineHeight, 10);
-    const textAreaHeight = ta.clientHeight;
-    let verticalCenter = Math.max(0, scrollTop - textAreaHeight / 2 + lineHeight / 2);
+    const current = targets.findLast((target) => target.line <= this._rovingLine) || targets[0];
+    for (const { element } of targets) {
+      element.setAttribute("tabindex", element === current.element ? "0" : "-1");
+    }
+  }
 
-    if (scrollTop < textAreaHeight / 2) {
-      verticalCenter = 0;
+  _setRovingElement(element) {
+    for (const other of this.previewWrapper.querySelectorAll('[tabindex="0"]')) {
+      if (other !== element && !this.quickEditPopover?.contains(other)) {
+        other.setAttribute("tabindex", "-1");
+      }
     }
+    element.setAttribute("tabindex", "0");
 
-    ta.scrollTop = verticalCenter;
+    const line = parseInt(element.getAttribute("data-ln"), 10);
+    if (!isNaN(line)) {
+      this._rovingLine = line;
+    }
+  }
+
+  _getLineOffset(lineNumber) {
+    return this._getLineIndex().offsetOf(lineNumber);
   }
 
-  updateActiveElementCSSStyleRule(previewElement) {
-    if (!this.activeElementCSSStyleRule || this._destroyed || !previewElement) {
+  // =============================================
+  // QUICK EDIT (double-clicking the preview edits the source in place)
+  // =============================================
+
+  _handlePreviewDoubleClick(event) {
+    if (this.quickEditPopover?.contains(event.target)) {
       return;
     }
 
-    // Skip if same element
-    if (this._lastHighlightedElement === previewElement) {
+    const element = event.target.closest(QUICK_EDIT_SELECTOR);
+    if (!element || !this.previewWrapper.contains(element)) {
       return;
     }
-    this._lastHighlightedElement = previewElement;
 
-    // Clean up duplicate highlight styles
-    const highlightElements = document.querySelectorAll("[id^='preview-highlight-']");
-    for (let i = 0; i < highlightElements.length - 1; i++) {
-      highlightElements[i].remove();
+    const source = element.hasAttribute("data-ln-end") ?
+                   this.getLineRange(element) :
+                   this.findSourceForPreviewElement(element);
+    if (!source) {
+      return;
     }
 
-    const selector = this.getUniqueCSSSelector(previewElement);
-    this.activeElementCSSStyleRule.innerHTML = `
-      ${selector} {
-        box-shadow: 0px 0px 0px 2px var(--tertiary, rgba(0,144,237,.7)) !important;
-        background-color: var(--tertiary-low, rgba(0, 144, 237, 0.15)) !important;
-        border-radius: 3px;
-        z-index: 3;
-        transition: box-shadow 0.2s ease, background-color 0.2s ease;
-      }
-    `;
+    event.preventDefault();
+    event.stopPropagation();
+    // Drop the word the double-click selected
+    window.getSelection()?.removeAllRanges();
+
+    this.openQuickEdit(element, source.start, source.end);
   }
 
-  getOffsetTopUntil(elem, parent) {
-    if (!elem || !parent) {
-      return 0;
+  // Edit the source lines from `startLine` to `endLine` in a popover below `element`
+  openQuickEdit(element, startLine, endLine) {
+    if (!this.textArea || !this.previewWrapper) {
+      return;
     }
 
-    const offsetParent = elem.offsetParent;
-    const offsetTop = elem.offsetTop;
+    this.closeQuickEdit();
 
-    if (offsetParent === parent) {
-      return offsetTop;
+    const lineIndex = this._getLineIndex();
+    if (startLine >= lineIndex.lineCount) {
+      return;
     }
 
-    return offsetTop + this.getOffsetTopUntil(offsetParent, parent);
+    const lastLine = lineIndex.lastContentLine(startLine, endLine);
+
+    const start = lineIndex.offsetOf(startLine);
+    const end = lineIndex.endOffsetOf(lastLine);
+    const original = lineIndex.text.substring(start, end);
+
+    const popover = document.createElement("div");
+    popover.className = "click-to-edit-quick-edit";
+
+    const editor = document.createElement("textarea");
+    editor.className = "click-to-edit-quick-edit__source";
+    editor.value = original;
+    editor.rows = Math.min(12, lastLine - startLine + 2);
+    editor.setAttribute("aria-label", i18n("click_to_edit.quick_edit.source"));
+    editor.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeQuickEdit();
+      } else if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this._saveQuickEdit();
+      }
+    });
+
+    const conflict = document.createElement("div");
+    conflict.className = "click-to-edit-quick-edit__conflict";
+    conflict.textContent = i18n("click_to_edit.quick_edit.conflict");
+
+    const saveButton = document.createElement("button");
+    saveButton.type = "button";
+    saveButton.className = "btn btn-primary btn-small";
+    saveButton.textContent = i18n("click_to_edit.quick_edit.save");
+    saveButton.addEventListener("click", () => this._saveQuickEdit());
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "btn btn-flat btn-small";
+    cancelButton.textContent = i18n("click_to_edit.quick_edit.cancel");
+    cancelButton.addEventListener("click", () => this.closeQuickEdit());
+
+    const actions = document.createElement("div");
+    actions.className = "click-to-edit-quick-edit__actions";
+    actions.append(saveButton, cancelButton);
+    popover.append(editor, conflict, actions);
+
+    // Inside the wrapper but outside .d-editor-preview, so it scrolls with the
+    // element and survives re-renders of the preview
+    const wrapperRect = this.previewWrapper.getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    popover.style.top = `${rect.bottom - wrapperRect.top + this.previewWrapper.scrollTop + 4}px`;
+    popover.style.left = `${Math.max(0, rect.left - wrapperRect.left + this.previewWrapper.scrollLeft)}px`;
+    popover.style.width = `${Math.max(rect.width, 280)}px`;
+    this.previewWrapper.appendChild(popover);
+
+    this.quickEditPopover = popover;
+    this._quickEdit = { start, original, editor };
+    this.highlightPreviewElements(element);
+    editor.focus();
   }
 
-  getUniqueCSSSelector(el) {
-    const stack = [];
-    while (el && el.parentNode && el.nodeName.toLowerCase() !== "html") {
-      let sibCount = 0;
-      let sibIndex = 0;
-      const siblings = el.parentNode.childNodes;
+  closeQuickEdit() {
+    if (this.quickEditPopover && this.quickEditPopover.parentNode) {
+      this.quickEditPopover.parentNode.removeChild(this.quickEditPopover);
+    }
+    this.quickEditPopover = null;
+    this._quickEdit = null;
+  }
 
-      for (let i = 0; i < siblings.length; i++) {
-        const sib = siblings[i];
-        if (sib.nodeType === Node.ELEMENT_NODE && sib.nodeName === el.nodeName) {
-          if (sib === el) {
-            sibIndex = sibCount;
-          }
-          sibCount++;
-        }
-      }
+  _saveQuickEdit() {
+    if (!this._quickEdit || !this.textArea) {
+      return;
+    }
 
-      if (el.id) {
-        stack.unshift(el.nodeName.toLowerCase() + "#" + el.id);
-      } else if (sibCount > 1) {
-        stack.unshift(el.nodeName.toLowerCase() + ":nth-of-type(" + (sibIndex + 1) + ")");
-      } else {
-        stack.unshift(el.nodeName.toLowerCase());
-      }
+    const { start, original, editor } = this._quickEdit;
+    const value = this.textArea.value;
+    let from = start;
 
-      el = el.parentNode;
+    // The post may have changed while the popover was open
+    if (value.substring(start, start + original.length) !== original) {
+      const after = value.indexOf(original, start);
+      const before = value.lastIndexOf(original, start);
+      if (after < 0 && before < 0) {
+        this.quickEditPopover.classList.add("click-to-edit-quick-edit--conflict");
+        return;
+      }
+      from = after < 0 || (before >= 0 && start - before < after - start) ? before : after;
     }
 
-    return stack.join(" > ");
+    const text = editor.value;
+    this.closeQuickEdit();
+    if (text !== original) {
+      this.replaceTextAreaRange(from, from + original.length, text);
+    }
+    this.textArea.setSelectionRange(from, from + text.length);
   }
 
-  isSafari() {
-    const ua = navigator.userAgent;
-    return ua.indexOf("Safari") > -1 && ua.indexOf("Chrome") === -1;
+  // Replace part of the textarea so the change lands in the browser's undo history
+  replaceTextAreaRange(start, end, text) {
+    const ta = this.textArea;
+
+    // Keep the preview where the user was editing
+    this._suppressScrollSync();
+    ta.focus();
+    ta.setSelectionRange(start, end);
+
+    // execCommand is deprecated but still the only undoable way to edit a textarea;
+    // setRangeText is the fallback where it isn't supported
+    if (!document.execCommand?.("insertText", false, text)) {
+      ta.setRangeText(text, start, end, "end");
+      ta.dispatchEvent(new Event("input", { bubbles: true }));
+    }
   }
 
   // =============================================
@@ -1106,13 +3487,63 @@ class ClickToEditHandler {
     if (this._highlightDebounceTimer) {
       cancel(this._highlightDebounceTimer);
     }
+    if (this._scrollSyncFrame) {
+      cancelAnimationFrame(this._scrollSyncFrame);
+    }
+    if (this._previewScrollSyncFrame) {
+      cancelAnimationFrame(this._previewScrollSyncFrame);
+    }
 
     if (this.previewWrapper && this.clickHandler) {
       this.previewWrapper.removeEventListener("mousedown", this.clickHandler);
     }
+    if (this.previewMouseUpHandler) {
+      document.removeEventListener("mouseup", this.previewMouseUpHandler);
+    }
+    if (this.previewWrapper && this.previewClickHandler) {
+      this.previewWrapper.removeEventListener("click", this.previewClickHandler);
+    }
+    if (this.previewWrapper && this.doubleClickHandler) {
+      this.previewWrapper.removeEventListener("dblclick", this.doubleClickHandler);
+    }
+    if (this.previewWrapper && this.previewKeyDownHandler) {
+      this.previewWrapper.removeEventListener("keydown", this.previewKeyDownHandler);
+    }
+    if (this._previewObserver) {
+      this._previewObserver.disconnect();
+    }
+    if (this._rovingTabIndexTimer) {
+      cancel(this._rovingTabIndexTimer);
+    }
+    if (this.liveRegion && this.liveRegion.parentNode) {
+      this.liveRegion.parentNode.removeChild(this.liveRegion);
+    }
+
+    if (this._gutterFrame) {
+      cancelAnimationFrame(this._gutterFrame);
+    }
+    if (this._gutterResizeObserver) {
+      this._gutterResizeObserver.disconnect();
+    }
+    if (this.textArea && this.gutterUpdateHandler) {
+      this.textArea.removeEventListener("scroll", this.gutterUpdateHandler);
+      this.textArea.removeEventListener("input", this.gutterUpdateHandler);
+    }
+    if (this.gutter && this.gutter.parentNode) {
+      this.gutter.parentNode.classList.remove("click-to-edit-has-gutter");
+      this.gutter.parentNode.style.removeProperty("--click-to-edit-gutter-width");
+      this.gutter.parentNode.removeChild(this.gutter);
+    }
+    this.closeQuickEdit();
+    if (this.previewWrapper && this.previewScrollHandler) {
+      this.previewWrapper.removeEventListener("scroll", this.previewScrollHandler);
+    }
     if (this.textArea) {
+      if (this.mouseUpHandler) {
+        this.textArea.removeEventListener("mouseup", this.mouseUpHandler);
+      }
       if (this.scrollHandler) {
-        this.textArea.removeEventListener("mouseup", this.scrollHandler);
+        this.textArea.removeEventListener("scroll", this.scrollHandler);
       }
       if (this.editorClickHandler) {
         this.textArea.removeEventListener("click", this.editorClickHandler);
@@ -1123,46 +3554,307 @@ class ClickToEditHandler {
       if (this.keyDownHandler) {
         this.textArea.removeEventListener("keydown", this.keyDownHandler);
       }
+      if (this.keyUpHandler) {
+        this.textArea.removeEventListener("keyup", this.keyUpHandler);
+      }
+    }
+
+    for (const name of this._highlights.keys()) {
+      this._removeHighlight(name);
     }
 
-    if (this.activeElementCSSStyleRule && this.activeElementCSSStyleRule.parentNode) {
-      this.activeElementCSSStyleRule.parentNode.removeChild(this.activeElementCSSStyleRule);
+    if (this.previewWrapper) {
+      this.previewWrapper.classList.remove(
+        "click-to-edit-no-badge",
+        `click-to-edit-highlight-${this.settings?.highlightStyle}`
+      );
     }
 
     if (this.clonedTextArea && this.clonedTextArea.parentNode) {
       this.clonedTextArea.parentNode.removeChild(this.clonedTextArea);
     }
 
+    if (this.lineMirror && this.lineMirror.parentNode) {
+      this.lineMirror.parentNode.removeChild(this.lineMirror);
+    }
+
     this.clickHandler = null;
+    this.previewMouseUpHandler = null;
+    this.previewClickHandler = null;
+    this.previewKeyDownHandler = null;
+    this.doubleClickHandler = null;
+    this.mouseUpHandler = null;
     this.scrollHandler = null;
+    this.previewScrollHandler = null;
     this.inputHandler = null;
     this.keyDownHandler = null;
+    this.keyUpHandler = null;
     this.editorClickHandler = null;
     this.preview = null;
     this.previewWrapper = null;
     this.scrollParent = null;
     this.textArea = null;
-    this.activeElementCSSStyleRule = null;
     this.clonedTextArea = null;
-    this._lastHighlightedElement = null;
+    this.lineMirror = null;
+    this.liveRegion = null;
+    this.gutter = null;
+    this.gutterUpdateHandler = null;
+    this.gutterMouseDownHandler = null;
+    this._lineTops = null;
+    this._lineHeights = null;
+    this._lineIndex = new LineIndex();
+    this._lineIndexMatchers = null;
+    this._sourceMap = null;
+    this._highlights.clear();
     this.isInitialized = false;
   }
 }
 
+// Preview elements that correspond to one ProseMirror textblock (or block atom)
+const RICH_EDITOR_PREVIEW_BLOCKS =
+  "p, h1, h2, h3, h4, h5, h6, pre, hr, summary, th, td, li:not(:has(> p))";
+
+// Click-to-edit for the rich (ProseMirror) composer. Instead of textarea line
+// indexes it works with ProseMirror document positions: the textblocks of the
+// document are paired, in order, with the block elements of the preview.
+class RichEditorClickToEditHandler extends ClickToEditHandler {
+  constructor(options, pmState) {
+    super(options);
+    this.pmState = pmState;
+    this.view = null;
+    this.editorMouseDownHandler = null;
+  }
+
+  initialize(view) {
+    if (this.isInitialized || this._destroyed) {
+      return;
+    }
+
+    this.view = view;
+    this.isInitialized = true;
+    this.settings = this._readSettings(this.siteSettings);
+
+    this.clickHandler = this._handlePreviewClick.bind(this);
+    this.editorMouseDownHandler = this._handleRenderedNodeMouseDown.bind(this);
+    this.view.dom.addEventListener("mousedown", this.editorMouseDownHandler);
+
+    this._attachToPreview();
+  }
+
+  // Called by the ProseMirror plugin view on every state update
+  update(view, prevState) {
+    if (this._destroyed) {
+      return;
+    }
+
+    this.view = view;
+    this._attachToPreview();
+
+    const selectionMoved = !prevState.selection.eq(view.state.selection);
+    if ((selectionMoved || !prevState.doc.eq(view.state.doc)) &&
+        this.settings.syncDirection !== "preview_to_editor") {
+      this._debouncedScrollPreview();
+    }
+  }
+
+  // The preview can be toggled while the editor stays, so look it up on every update
+  _attachToPreview() {
+    const previewWrapper = this.view.dom.closest(".d-editor")?.querySelector(".d-editor-preview-wrapper") || null;
+    if (previewWrapper === this.previewWrapper) {
+      return this.previewWrapper;
+    }
+
+    if (this.previewWrapper) {
+      this.previewWrapper.removeEventListener("mousedown", this.clickHandler);
+    }
+
+    this.previewWrapper = previewWrapper;
+    this.preview = previewWrapper?.querySelector(".d-editor-preview") || null;
+    // The highlighted elements went away with the old preview
+    this._highlights.clear();
+    this._observePreview();
+
+    if (this.previewWrapper) {
+      this.previewWrapper.classList.add(`click-to-edit-highlight-${this.settings.highlightStyle}`);
+    }
+    if (this.previewWrapper && this.settings.syncDirection !== "editor_to_preview") {
+      this.previewWrapper.addEventListener("mousedown", this.clickHandler);
+    }
+
+    return this.previewWrapper;
+  }
+
+  _isPreviewVisible() {
+    return !!this.previewWrapper && this.previewWrapper.offsetParent !== null;
+  }
+
+  // =============================================
+  // PROSEMIRROR ↔ PREVIEW PAIRING
+  // =============================================
+
+  // Textblocks and block atoms (images, polls, rules) of the document, in order
+  _getEditorBlocks() {
+    const blocks = [];
+    this.view.state.doc.descendants((node, pos) => {
+      if (node.isTextblock || (node.isBlock && node.isAtom)) {
+        blocks.push({ node, pos });
+        return false;
+      }
+      return true;
+    });
+    return blocks;
+  }
+
+  // Text of a preview element without its nested lists
+  _getOwnText(element) {
+    return Array.from(element.childNodes)
+      .filter((child) => !["UL", "OL"].includes(child.nodeName))
+      .map((child) => child.textContent)
+      .join("");
+  }
+
+  // Pair editor blocks with preview elements in order. An element with the same
+  // text a few places ahead wins (the preview may lag behind typing or render
+  // extra blocks); otherwise the next element is taken.
+  _pairBlocks() {
+    const blocks = this._getEditorBlocks();
+    const elements = Array.from(this.previewWrapper.querySelectorAll(RICH_EDITOR_PREVIEW_BLOCKS));
+    const pairs = [];
+    let next = 0;
+
+    for (const block of blocks) {
+      if (next >= elements.length) break;
+
+      const text = this.normalizeText(block.node.textContent);
+      let match = next;
+      for (let j = next; j < Math.min(elements.length, next + 5); j++) {
+        if (this.normalizeText(this._getOwnText(elements[j])) === text) {
+          match = j;
+          break;
+        }
+      }
+
+      pairs.push({ block, element: elements[match] });
+      next = match + 1;
+    }
+
+    return pairs;
+  }
+
+  // =============================================
+  // PREVIEW → EDITOR
+  // =============================================
+
+  _handlePreviewClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!this.view || !this.previewWrapper) return;
+
+    // The innermost paired element around the click
+    const pair = this._pairBlocks().filter((candidate) => candidate.element.contains(event.target)).pop();
+    if (!pair) return;
+
+    const point = this._getCaretPointFromEvent(event);
+    let textOffset = 0;
+    if (point && pair.element.contains(point.node)) {
+      const range = document.createRange();
+      range.setStart(pair.element, 0);
+      range.setEnd(point.node, point.offset);
+      textOffset = range.toString().length;
+    }
+
+    this._selectEditorBlock(pair.block, textOffset);
+    this.highlightPreviewElements(pair.element);
+  }
+
+  // With the preview hidden, clicks on rendered, non-editable nodes (polls,
+  // oneboxes, node views) select the node they belong to
+  _handleRenderedNodeMouseDown(event) {
+    if (this._isPreviewVisible() || !event.target.closest?.("[contenteditable='false']")) {
+      return;
+    }
+
+    const position = this.view.posAtCoords({ left: event.clientX, top: event.clientY });
+    if (!position || position.inside < 0) return;
+
+    const { NodeSelection, TextSelection } = this.pmState;
+    const { state } = this.view;
+    const node = state.doc.nodeAt(position.inside);
+    if (!node) return;
+
+    event.preventDefault();
+    const selection = NodeSelection.isSelectable(node) ?
+      NodeSelection.create(state.doc, position.inside) :
+      TextSelection.near(state.doc.resolve(position.inside + 1));
+    this.view.dispatch(state.tr.setSelection(selection).scrollIntoView());
+    this.view.focus();
+  }
+
+  _selectEditorBlock(block, textOffset = 0) {
+    const { NodeSelection, TextSelection } = this.pmState;
+    const { state } = this.view;
+
+    const selection = block.node.isTextblock ?
+      TextSelection.create(state.doc, block.pos + 1 + Math.min(textOffset, block.node.content.size)) :
+      NodeSelection.create(state.doc, block.pos);
+
+    this.view.dispatch(state.tr.setSelection(selection).scrollIntoView());
+    this.view.focus();
+  }
+
+  // =============================================
+  // EDITOR → PREVIEW
+  // =============================================
+
+  _syncEditorToPreview() {
+    if (this._destroyed || !this.view || !this.previewWrapper) {
+      return;
+    }
+
+    const { from } = this.view.state.selection;
+    const pair = this._pairBlocks().find(
+      ({ block }) => from >= block.pos && from <= block.pos + block.node.nodeSize
+    );
+    if (!pair) return;
+
+    this._highlightDebounceTimer = debounce(
+      this,
+      () => this.highlightPreviewElements(pair.element),
+      this.settings.highlightDebounceMs
+    );
+    this.scrollPreviewToElement(pair.element);
+  }
+
+  destroy() {
+    if (this.view && this.editorMouseDownHandler) {
+      this.view.dom.removeEventListener("mousedown", this.editorMouseDownHandler);
+    }
+    this.editorMouseDownHandler = null;
+    this.view = null;
+
+    super.destroy();
+  }
+}
+
 // Track active handlers by textarea element
 const activeHandlers = new WeakMap();
 
+// Matchers registered by other plugins and themes (service:click-to-edit)
+let matcherRegistry = null;
+let siteSettings = null;
+
 function initializeClickToEdit(textArea) {
   if (!textArea || activeHandlers.has(textArea)) {
     return;
   }
 
-  const previewWrapper = document.querySelector(".d-editor-preview-wrapper");
+  const previewWrapper = findOwnPreviewWrapper(textArea);
   if (!previewWrapper) {
     return;
   }
 
-  const handler = new ClickToEditHandler();
+  const handler = new ClickToEditHandler({ matcherRegistry, siteSettings });
   handler.initialize(textArea, previewWrapper);
   activeHandlers.set(textArea, handler);
 
@@ -1178,6 +3870,73 @@ function initializeClickToEdit(textArea) {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
+// The preview of the d-editor this textarea belongs to. Several d-editors can be on
+// the page at once (/review, admin customize pages, composer plus an inline editor),
+// so never search past the textarea's own .d-editor.
+function findOwnPreviewWrapper(textArea) {
+  for (let element = textArea.parentElement; element; element = element.parentElement) {
+    const previewWrapper = element.querySelector(".d-editor-preview-wrapper");
+    if (previewWrapper) {
+      return previewWrapper;
+    }
+    if (element.classList.contains("d-editor")) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// The handler of the d-editor that has the focus, in its textarea or its preview
+function findFocusedHandler() {
+  const textArea = document.activeElement?.closest(".d-editor")?.querySelector(".d-editor-textarea-wrapper textarea");
+  return textArea ? activeHandlers.get(textArea) : null;
+}
+
+// Ctrl+Alt chords: on macOS, Option+Shift+arrows extend the selection by
+// paragraph and Option+Shift+letter types a character, in the textarea too
+const KEYBOARD_SHORTCUTS = [
+  { keys: ["ctrl", "alt", "down"], help: ["ctrl", "alt", "↓"], name: "next_block",
+    action: (handler) => handler.moveToBlock(1) },
+  { keys: ["ctrl", "alt", "up"], help: ["ctrl", "alt", "↑"], name: "previous_block",
+    action: (handler) => handler.moveToBlock(-1) },
+  { keys: ["ctrl", "alt", "p"], help: ["ctrl", "alt", "p"], name: "toggle_preview_focus",
+    action: (handler) => handler.togglePreviewFocus() },
+  { keys: ["ctrl", "alt", "h"], help: ["ctrl", "alt", "h"], name: "next_heading",
+    action: (handler) => handler.moveToBlock(1, "h1, h2, h3, h4, h5, h6", true) },
+  { keys: ["ctrl", "alt", "g"], help: ["ctrl", "alt", "g"], name: "previous_heading",
+    action: (handler) => handler.moveToBlock(-1, "h1, h2, h3, h4, h5, h6", true) },
+  { keys: ["ctrl", "alt", "f"], help: ["ctrl", "alt", "f"], name: "toggle_footnote",
+    action: (handler) => handler.toggleFootnote() }
+];
+
+// Global, so they also work while typing in the textarea; they do nothing unless
+// an editor with click-to-edit has the focus
+function registerKeyboardShortcuts(api) {
+  if (!api.addKeyboardShortcut) {
+    return;
+  }
+
+  for (const shortcut of KEYBOARD_SHORTCUTS) {
+    api.addKeyboardShortcut(
+      shortcut.keys.join("+"),
+      (event) => {
+        const handler = findFocusedHandler();
+        if (handler && !handler.quickEditPopover?.contains(document.activeElement) && shortcut.action(handler)) {
+          event?.preventDefault();
+        }
+      },
+      {
+        global: true,
+        help: {
+          category: "composing",
+          name: `click_to_edit.${shortcut.name}`,
+          definition: { keys1: shortcut.help, keysDelimiter: "plus" }
+        }
+      }
+    );
+  }
+}
+
 function checkForEditors() {
   // Find all textareas in d-editor components
   const textareas = document.querySelectorAll(".d-editor-textarea-wrapper textarea");
@@ -1193,7 +3952,30 @@ export default {
   name: "click-to-edit-site-wide",
 
   initialize(container) {
+    siteSettings = container.lookup("service:site-settings");
+    if (!siteSettings.enable_discourse_click_to_edit) {
+      return;
+    }
+    matcherRegistry = container.lookup("service:click-to-edit");
+
     withPluginApi("1.0.0", (api) => {
+      // Rich (ProseMirror) composer: a ProseMirror plugin gives us the editor view
+      api.registerRichEditorExtension?.({
+        plugins: ({ pmState }) =>
+          new pmState.Plugin({
+            view(view) {
+              const handler = new RichEditorClickToEditHandler({ matcherRegistry, siteSettings }, pmState);
+              handler.initialize(view);
+              return {
+                update: (updatedView, prevState) => handler.update(updatedView, prevState),
+                destroy: () => handler.destroy()
+              };
+            }
+          })
+      });
+
+      registerKeyboardShortcuts(api);
+
       // Check on route changes
       api.onPageChange(() => {
         schedule("afterRender", null, checkForEditors);
@@ -0,0 +1,58 @@
+import Service from "@ember/service";
+
+// Registry of syntax matchers from other plugins and theme components.
+//
+// A matcher teaches click-to-edit about syntax it can't see by itself, such as a
+// custom BBCode tag or markdown-it rule:
+//
+//   api.container.lookup("service:click-to-edit").registerMatcher({
+//     name: "my-callout",
+//     // Source-line detector: does this line hold the syntax?
+//     detectLine: (lineText, lineNumber, lines) => /^\[callout/i.test(lineText),
+//     // Preview selector: the elements the syntax renders to
+//     selector: ".callout",
+//     // Optional: editor → preview. Return an element or null.
+//     findElement: (lineNumber, { lines, elements }) => ...,
+//     // Optional: preview → editor. Return a line index or null.
+//     findLine: (element, { lines, elements }) => ...,
+//     // Optional: strip the syntax from a line for content matching
+//     stripSyntax: (text) => text.replace(/\[\/?callout[^\]]*\]/gi, ""),
+//   });
+//
+// Without findElement / findLine, the Nth detected line maps to the Nth element
+// matching the selector, and back. Registered matchers are consulted before the
+// built-in heuristics; registering a name again replaces the earlier matcher.
+export default class ClickToEditService extends Service {
+  _matchers = [];
+
+  get matchers() {
+    return this._matchers;
+  }
+
+  registerMatcher(matcher) {
+    if (!matcher?.name || typeof matcher.detectLine !== "function" || !matcher.selector) {
+      throw new Error(
+        "click-to-edit: a matcher needs a name, a detectLine function and a selector"
+      );
+    }
+
+    // The selectors of all matchers are queried together, so one invalid
+    // selector would break the lookups of every matcher
+    try {
+      document.createDocumentFragment().querySelector(matcher.selector);
+    } catch {
+      throw new Error(
+        `click-to-edit: matcher "${matcher.name}" has an invalid selector "${matcher.selector}"`
+      );
+    }
+
+    this._matchers = [
+      ...this._matchers.filter((existing) => existing.name !== matcher.name),
+      matcher,
+    ];
+  }
+
+  unregisterMatcher(name) {
+    this._matchers = this._matchers.filter((matcher) => matcher.name !== name);
+  }
+}
@@ -11,20 +11,129 @@ export default {
   },
 };
 
-// Highlight.js runs a decorator on the content of codeblocks (Markdownit leaves the inside)
-// of codeblocks alone). So we add line data-ln line number attributes to inside the codeblocks
-// after Highlight.js has processed it.
+// Code elements already watched for re-highlighting
+const watchedCodeElements = new WeakSet();
+
+// Markdown-it leaves the inside of code blocks alone, so each line of code is
+// wrapped in a span with its source line here. The markdown-it plugin puts the
+// first line of the code on the <code> element (after the fence line, or on
+// the block's first line for indented code and [code] on one line).
 function decorator(elem) {
+  elem.querySelectorAll("pre > code[data-ln]").forEach((code) => {
+    const firstLine = parseInt(code.getAttribute("data-ln"), 10);
+    if (isNaN(firstLine)) {
+      return;
+    }
+
+    numberCodeLines(code, firstLine);
+
+    // Highlight.js runs later and replaces the content of the code element:
+    // number the highlighted lines again when it does. A morphing render may
+    // keep the element and move its data-ln, so the line is read again.
+    if (!watchedCodeElements.has(code)) {
+      watchedCodeElements.add(code);
+      const observer = new MutationObserver(() => {
+        const line = parseInt(code.getAttribute("data-ln"), 10);
+        if (!code.isConnected) {
+          observer.disconnect();
+        } else if (!isNaN(line) && !isNumbered(code)) {
+          numberCodeLines(code, line);
+        }
+      });
+      observer.observe(code, { childList: true });
+    }
+  });
+}
+
+// Line spans are the only elements directly inside a numbered code element,
+// with nothing but the newlines between them
+function isNumbered(code) {
+  return Array.from(code.childNodes).every((node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.data.replace(/\n/g, "") === "";
+    }
+    return node.nodeType === Node.ELEMENT_NODE && node.matches("span[data-ln-end]");
+  });
+}
 
-  // Select all the divs that wrap the highlighted code blocks
-  elem.querySelectorAll('div > pre > code').forEach((code) => {
-      let baseline = parseInt(code.parentNode.parentNode.getAttribute("data-ln"));
-      // Assuming markdownit.js wraps code in <pre><code> elements
-      let lines = code.innerHTML.split('\n');
-      let numberedLines = lines.map((line, index) => {
-          // Wrap each line in a span with a data-ln attribute; adjust as needed
-          return `<span data-ln="${baseline + index + 1}">${line}</span>`;
-      }).join('\n');
-      code.innerHTML = numberedLines;
+// Wrap each line of the code in a span. Highlight.js spans that cross lines
+// (multi-line comments and strings) are split into one copy per line, so the
+// line spans nest properly and keep the highlighting. Numbering again gives the
+// same result: earlier line spans are unwrapped first.
+function numberCodeLines(code, firstLine) {
+  code.querySelectorAll(":scope > span[data-ln-end]").forEach((line) => line.replaceWith(...line.childNodes));
+  code.normalize();
+
+  const lines = [];
+  // The elements around the current position, and their copies in the current line
+  const open = [];
+  const copies = [];
+  // Copies made only to continue an element on a new line; dropped if left empty
+  const continued = new Set();
+
+  const startLine = () => {
+    const line = document.createElement("span");
+    lines.push(line);
+    copies.length = 0;
+    let parent = line;
+    for (const element of open) {
+      const copy = element.cloneNode(false);
+      parent.appendChild(copy);
+      copies.push(copy);
+      continued.add(copy);
+      parent = copy;
+    }
+  };
+  const current = () => copies[copies.length - 1] || lines[lines.length - 1];
+
+  const split = (parent) => {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.data.split("\n").forEach((part, i) => {
+          if (i > 0) {
+            startLine();
+          }
+          if (part) {
+            current().appendChild(document.createTextNode(part));
+          }
+        });
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const copy = node.cloneNode(false);
+        current().appendChild(copy);
+        open.push(node);
+        copies.push(copy);
+        split(node);
+        open.pop();
+        copies.pop();
+      }
+    }
+  };
+
+  startLine();
+  split(code);
+
+  // Innermost first, so emptied parents go too
+  for (const copy of Array.from(continued).reverse()) {
+    if (!copy.hasChildNodes()) {
+      copy.remove();
+    }
+  }
+
+  // The code ends with a newline, which doesn't start another line
+  if (lines.length > 1 && !lines[lines.length - 1].hasChildNodes()) {
+    lines.pop();
+  }
+
+  const endsWithNewline = code.textContent.endsWith("\n");
+  const content = document.createDocumentFragment();
+  lines.forEach((line, index) => {
+    const ln = firstLine + index;
+    line.setAttribute("data-ln", ln);
+    line.setAttribute("data-ln-end", ln);
+    content.append(line);
+    if (index < lines.length - 1 || endsWithNewline) {
+      content.append("\n");
+    }
   });
-}
\ No newline at end of file
+  code.replaceChildren(content);
+}
@@ -6,8 +6,8 @@ export function setup(helper) {
 
   helper.allowList({
     custom(tag, name, value) {
-      // Allow elements with a data-ln attribute that contains a number
-      if (name === "data-ln") {
+      // Allow elements with a data-ln / data-ln-end / data-col attribute that contains a number
+      if (name === "data-ln" || name === "data-ln-end" || name === "data-col") {
         return !!value.match(/^\d+$/);
       }
     },